@@ -0,0 +1,554 @@
+// Lap time analytics shared by the browser app and the Node report CLI.
+// In the browser the functions become globals; in Node they are the module exports.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Parse time string (MM:SS or HH:MM:SS) to minutes; anything else is null
+    function parseTimeToMinutes(timeStr) {
+        if (timeStr === null || timeStr === undefined) return null;
+        const parts = String(timeStr).trim().split(':');
+        if (!parts.every(part => /^\d+(\.\d+)?$/.test(part))) return null;
+
+        if (parts.length === 2) {
+            return parseInt(parts[0]) + parseFloat(parts[1]) / 60;
+        } else if (parts.length === 3) {
+            // If it's HH:MM:SS format, convert to minutes
+            return parseInt(parts[0]) * 60 + parseInt(parts[1]) + parseFloat(parts[2]) / 60;
+        }
+        return null;
+    }
+
+    // Format minutes as H:MM:SS
+    function formatDuration(minutes) {
+        const totalSeconds = Math.round(minutes * 60);
+        const hours = Math.floor(totalSeconds / 3600);
+        const mins = Math.floor((totalSeconds % 3600) / 60);
+        const secs = totalSeconds % 60;
+        return `${hours}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    // Format minutes as M:SS (negative values keep their sign)
+    function formatMinutes(minutes) {
+        const totalSeconds = Math.round(Math.abs(minutes) * 60);
+        const mins = Math.floor(totalSeconds / 60);
+        const secs = totalSeconds % 60;
+        return `${minutes < 0 ? '-' : ''}${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    // Calculate statistics for a runner's laps
+    function calculateStats(lapTimes) {
+        const validTimes = lapTimes.filter(t => t !== null);
+        if (validTimes.length === 0) return { mean: 0, stdDev: 0 };
+
+        const mean = validTimes.reduce((a, b) => a + b, 0) / validTimes.length;
+        const variance = validTimes.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / validTimes.length;
+        const stdDev = Math.sqrt(variance);
+
+        return { mean, stdDev };
+    }
+
+    // Value at percentile p (0-100) of ascending values, interpolating between ranks
+    function calculatePercentile(sortedValues, p) {
+        if (sortedValues.length === 0) return null;
+
+        const position = (sortedValues.length - 1) * p / 100;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+    }
+
+    // Percentile rank (0-100) of a value among ascending values, ties counted half
+    function calculatePercentileRank(sortedValues, value) {
+        if (sortedValues.length === 0) return null;
+
+        const below = sortedValues.filter(v => v < value).length;
+        const equal = sortedValues.filter(v => v === value).length;
+        return (below + equal / 2) / sortedValues.length * 100;
+    }
+
+    // Calculate per-lap statistics of a lap field across the whole field
+    function calculateFieldStats(laps, field) {
+        const byLap = [];
+        laps.forEach(lap => {
+            const position = lap.Index - 1;
+            if (!byLap[position]) byLap[position] = { count: 0, values: [] };
+
+            byLap[position].count++;
+            const value = parseTimeToMinutes(lap[field]);
+            if (value !== null) byLap[position].values.push(value);
+        });
+
+        return Array.from(byLap, (lapStats = { count: 0, values: [] }) => {
+            const values = lapStats.values.sort((a, b) => a - b);
+            return {
+                count: lapStats.count,
+                values,
+                median: calculatePercentile(values, 50),
+                p10: calculatePercentile(values, 10),
+                p90: calculatePercentile(values, 90)
+            };
+        });
+    }
+
+    // Calculate linear regression for trendline
+    function calculateTrendline(lapTimes) {
+        const validPoints = [];
+        lapTimes.forEach((time, index) => {
+            if (time !== null) {
+                validPoints.push({ x: index + 1, y: time });
+            }
+        });
+
+        if (validPoints.length < 2) return null;
+
+        const n = validPoints.length;
+        const sumX = validPoints.reduce((sum, point) => sum + point.x, 0);
+        const sumY = validPoints.reduce((sum, point) => sum + point.y, 0);
+        const sumXY = validPoints.reduce((sum, point) => sum + point.x * point.y, 0);
+        const sumXX = validPoints.reduce((sum, point) => sum + point.x * point.x, 0);
+
+        const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
+        const intercept = (sumY - slope * sumX) / n;
+
+        return { slope, intercept };
+    }
+
+    // Calculate Exponential Moving Average (EMA) with 6-lap window
+    function calculateEMA(lapTimes, windowSize = 6) {
+        if (lapTimes.length < 2) return null;
+
+        const emaData = [];
+        const alpha = 2 / (windowSize + 1); // Smoothing factor
+
+        for (let i = 0; i < lapTimes.length; i++) {
+            if (lapTimes[i] === null) {
+                emaData.push(null);
+                continue;
+            }
+
+            if (i === 0) {
+                // First value uses the actual lap time
+                emaData.push(lapTimes[i]);
+            } else {
+                // Collect valid previous laps within the window
+                const validPreviousLaps = [];
+                for (let j = Math.max(0, i - windowSize); j < i; j++) {
+                    if (lapTimes[j] !== null) {
+                        validPreviousLaps.push(lapTimes[j]);
+                    }
+                }
+
+                if (validPreviousLaps.length === 0) {
+                    emaData.push(lapTimes[i]);
+                } else {
+                    // Calculate EMA: EMA = α × Current + (1 - α) × Previous EMA
+                    const previousEMA = emaData[i - 1] !== null ? emaData[i - 1] : lapTimes[i];
+                    const currentEMA = alpha * lapTimes[i] + (1 - alpha) * previousEMA;
+                    emaData.push(currentEMA);
+                }
+            }
+        }
+
+        return emaData;
+    }
+
+    // Trailing rolling median over the last windowSize laps; null laps stay null
+    function calculateRollingMedian(values, windowSize = 5) {
+        return values.map((value, i) => {
+            if (value === null) return null;
+            const window = values.slice(Math.max(0, i - windowSize + 1), i + 1)
+                .filter(v => v !== null)
+                .sort((a, b) => a - b);
+            return calculatePercentile(window, 50);
+        });
+    }
+
+    // LOESS smoothing: a tricube-weighted linear fit over the nearest span (0-1) of laps
+    function calculateLoess(values, span = 0.3) {
+        const points = [];
+        values.forEach((value, i) => {
+            if (value !== null) points.push({ x: i + 1, y: value });
+        });
+        if (points.length < 3) return null;
+
+        const neighbours = Math.min(points.length, Math.max(3, Math.ceil(span * points.length)));
+
+        return values.map((value, i) => {
+            if (value === null) return null;
+            const x = i + 1;
+
+            const distances = points.map(point => Math.abs(point.x - x));
+            const maxDistance = [...distances].sort((a, b) => a - b)[neighbours - 1] * 1.000001 || 1;
+
+            let sw = 0, swx = 0, swy = 0, swxx = 0, swxy = 0;
+            points.forEach((point, j) => {
+                const ratio = distances[j] / maxDistance;
+                if (ratio >= 1) return;
+                const w = Math.pow(1 - Math.pow(ratio, 3), 3);
+                sw += w;
+                swx += w * point.x;
+                swy += w * point.y;
+                swxx += w * point.x * point.x;
+                swxy += w * point.x * point.y;
+            });
+
+            const denominator = sw * swxx - swx * swx;
+            if (Math.abs(denominator) < 1e-12) return swy / sw;
+
+            const slope = (sw * swxy - swx * swy) / denominator;
+            return (swy - slope * swx) / sw + slope * x;
+        });
+    }
+
+    // Separate linear trend within each section ({ startLap, endLap }); null where a section has under two laps
+    function calculatePiecewiseTrend(values, sections) {
+        const fitted = values.map(() => null);
+
+        sections.forEach(section => {
+            const start = section.startLap - 1;
+            const slice = values.slice(start, section.endLap);
+            const trendline = calculateTrendline(slice);
+            if (!trendline) return;
+
+            slice.forEach((_, offset) => {
+                fitted[start + offset] = trendline.slope * (offset + 1) + trendline.intercept;
+            });
+        });
+
+        return fitted;
+    }
+
+    // Count, mean, median, fastest and standard deviation of split times
+    function describeSplits(splits) {
+        const values = splits.filter(t => t !== null).sort((a, b) => a - b);
+        if (values.length === 0) return null;
+
+        const stats = calculateStats(values);
+        return {
+            count: values.length,
+            mean: stats.mean,
+            median: calculatePercentile(values, 50),
+            fastest: values[0],
+            stdDev: stats.stdDev
+        };
+    }
+
+    // Summary statistics of one runner's laps
+    function summariseRunnerLaps(laps) {
+        const splits = laps.map(lap => parseTimeToMinutes(lap['Lap Split']));
+        const validSplits = splits.filter(t => t !== null);
+        const rests = laps.map(lap => parseTimeToMinutes(lap['Rest Time'])).filter(t => t !== null);
+        const stats = calculateStats(validSplits);
+        const trendline = calculateTrendline(splits);
+
+        return {
+            laps: laps.length,
+            mean: validSplits.length > 0 ? stats.mean : null,
+            stdDev: validSplits.length > 0 ? stats.stdDev : null,
+            fastest: validSplits.length > 0 ? Math.min(...validSplits) : null,
+            slowest: validSplits.length > 0 ? Math.max(...validSplits) : null,
+            slope: trendline ? trendline.slope : null,
+            avgRest: rests.length > 0 ? calculateStats(rests).mean : null,
+            minRest: rests.length > 0 ? Math.min(...rests) : null
+        };
+    }
+
+    // Lap-by-lap comparison of two runners' splits; diff and cumulative are B - A, positive when A was faster
+    function compareHeadToHead(lapsA, lapsB) {
+        const splitsB = new Map(lapsB.map(lap => [lap.Index, parseTimeToMinutes(lap['Lap Split'])]));
+        const laps = [];
+        let cumulative = 0;
+
+        lapsA.forEach(lap => {
+            const a = parseTimeToMinutes(lap['Lap Split']);
+            const b = splitsB.get(lap.Index);
+            if (a === null || b === null || b === undefined) return;
+
+            cumulative += b - a;
+            laps.push({ lap: lap.Index, a, b, diff: b - a, cumulative });
+        });
+
+        // Longest run of consecutive laps one runner was faster on
+        const longestStreak = faster => {
+            let best = null;
+            let start = null;
+            laps.forEach((entry, i) => {
+                const consecutive = i > 0 && entry.lap === laps[i - 1].lap + 1;
+                if (!faster(entry)) {
+                    start = null;
+                    return;
+                }
+                if (start === null || !consecutive) start = entry.lap;
+                if (!best || entry.lap - start + 1 > best.length) {
+                    best = { length: entry.lap - start + 1, from: start, to: entry.lap };
+                }
+            });
+            return best;
+        };
+
+        const lapsOfA = new Set(lapsA.map(lap => lap.Index));
+        return {
+            laps,
+            aFaster: laps.filter(entry => entry.diff > 0).length,
+            bFaster: laps.filter(entry => entry.diff < 0).length,
+            ties: laps.filter(entry => entry.diff === 0).length,
+            total: cumulative,
+            aStreak: longestStreak(entry => entry.diff > 0),
+            bStreak: longestStreak(entry => entry.diff < 0),
+            // Laps only one of them ran, e.g. the winner's final solo lap
+            onlyA: lapsA.filter(lap => !splitsB.has(lap.Index)).length,
+            onlyB: lapsB.filter(lap => !lapsOfA.has(lap.Index)).length
+        };
+    }
+
+    // Median and median absolute deviation of ascending values
+    function calculateMedianAbsoluteDeviation(sortedValues) {
+        const median = calculatePercentile(sortedValues, 50);
+        const deviations = sortedValues.map(value => Math.abs(value - median)).sort((a, b) => a - b);
+        return { median, mad: calculatePercentile(deviations, 50) };
+    }
+
+    // Laps that look like timing glitches: [{ File, Index, reasons }] in the order of laps.
+    // A split is implausibly fast when its modified z-score (0.6745 * deviation / MAD) is below
+    // -zThreshold against both the runner's own splits and the field's splits at the same lap;
+    // either reference is skipped when it has fewer than minSamples splits or no spread.
+    // Laps whose split and rest don't add up to the hour, or that repeat an earlier lap's
+    // Race Time, are suspect as well.
+    function detectLapAnomalies(laps, options = {}) {
+        const { zThreshold = 3.5, minSamples = 5, toleranceMinutes = 2 / 60 } = options;
+        const ascending = values => values.filter(value => value !== null).sort((a, b) => a - b);
+        const robustZ = (value, reference) => {
+            if (reference.count < minSamples || reference.mad === 0) return null;
+            return 0.6745 * (value - reference.median) / reference.mad;
+        };
+
+        const byRunner = new Map();
+        const byLap = new Map();
+        laps.forEach(lap => {
+            const split = parseTimeToMinutes(lap['Lap Split']);
+            if (!byRunner.has(lap.File)) byRunner.set(lap.File, []);
+            if (!byLap.has(lap.Index)) byLap.set(lap.Index, []);
+            byRunner.get(lap.File).push(split);
+            byLap.get(lap.Index).push(split);
+        });
+
+        const describe = values => {
+            const sorted = ascending(values);
+            return { count: sorted.length, ...calculateMedianAbsoluteDeviation(sorted) };
+        };
+        const runnerStats = new Map(Array.from(byRunner, ([file, splits]) => [file, describe(splits)]));
+        const lapStats = new Map(Array.from(byLap, ([index, splits]) => [index, describe(splits)]));
+
+        const seenRaceTimes = new Map();
+        const anomalies = [];
+
+        laps.forEach(lap => {
+            const reasons = [];
+            const split = parseTimeToMinutes(lap['Lap Split']);
+            const rest = parseTimeToMinutes(lap['Rest Time']);
+
+            if (split !== null) {
+                const own = runnerStats.get(lap.File);
+                const field = lapStats.get(lap.Index);
+                const scores = [robustZ(split, own), robustZ(split, field)].filter(z => z !== null);
+                if (scores.length > 0 && scores.every(z => z < -zThreshold)) {
+                    reasons.push(`split ${formatMinutes(split)} is implausibly fast (runner median ${formatMinutes(own.median)}, field median ${formatMinutes(field.median)})`);
+                }
+
+                if (rest !== null && Math.abs(split + rest - 60) > toleranceMinutes) {
+                    reasons.push(`split + rest is ${formatMinutes(split + rest)}, not 60:00`);
+                }
+            }
+
+            const raceTimeKey = `${lap.File}|${lap['Race Time']}`;
+            if (lap['Race Time'] && seenRaceTimes.has(raceTimeKey)) {
+                reasons.push(`Race Time ${lap['Race Time']} repeats lap ${seenRaceTimes.get(raceTimeKey)}`);
+            } else {
+                seenRaceTimes.set(raceTimeKey, lap.Index);
+            }
+
+            if (reasons.length > 0) {
+                anomalies.push({ File: lap.File, Index: lap.Index, reasons });
+            }
+        });
+
+        return anomalies;
+    }
+
+    // Team standings from results rows grouped by nation code ("State"), best total laps first.
+    // stillInByLap[n] counts the team's runners who completed at least n laps.
+    function summariseTeams(runners) {
+        const leaderLaps = runners.reduce((max, runner) => Math.max(max, Number(runner.Laps) || 0), 0);
+        const groups = new Map();
+        runners.forEach(runner => {
+            const country = runner.State || '';
+            if (!groups.has(country)) groups.set(country, []);
+            groups.get(country).push(runner);
+        });
+
+        const teams = Array.from(groups, ([country, members]) => {
+            const lapCounts = members.map(runner => Number(runner.Laps) || 0);
+            const totalLaps = lapCounts.reduce((sum, laps) => sum + laps, 0);
+            return {
+                country,
+                bibs: members.map(runner => runner.Bib),
+                runners: members.length,
+                totalLaps,
+                bestLaps: Math.max(...lapCounts),
+                avgLaps: totalLaps / members.length,
+                stillIn: leaderLaps > 0 ? lapCounts.filter(laps => laps >= leaderLaps).length : members.length,
+                stillInByLap: Array.from({ length: leaderLaps + 1 }, (_, lap) => lapCounts.filter(laps => laps >= lap).length)
+            };
+        });
+
+        // Ties on total laps go to the better best runner, then alphabetically; tied totals share a rank
+        teams.sort((a, b) => (b.totalLaps - a.totalLaps) || (b.bestLaps - a.bestLaps) || a.country.localeCompare(b.country));
+        teams.forEach((team, i) => {
+            team.rank = i > 0 && team.totalLaps === teams[i - 1].totalLaps ? teams[i - 1].rank : i + 1;
+        });
+        return teams;
+    }
+
+    // Pearson correlation of paired values, skipping pairs with a missing side; null below minPairs or without variation
+    function calculateCorrelation(xs, ys, minPairs = 3) {
+        const pairs = [];
+        xs.forEach((x, i) => {
+            const y = ys[i];
+            if (Number.isFinite(x) && Number.isFinite(y)) pairs.push([x, y]);
+        });
+        if (pairs.length < minPairs) return null;
+
+        const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length;
+        const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length;
+        let sumXY = 0;
+        let sumXX = 0;
+        let sumYY = 0;
+        pairs.forEach(([x, y]) => {
+            sumXY += (x - meanX) * (y - meanY);
+            sumXX += (x - meanX) ** 2;
+            sumYY += (y - meanY) ** 2;
+        });
+
+        if (sumXX === 0 || sumYY === 0) return null;
+        return { r: sumXY / Math.sqrt(sumXX * sumYY), n: pairs.length };
+    }
+
+    // Correlate hourly conditions ({ hour, [field]: value }, hour N = lap N) with the field's
+    // median split and drop-outs per lap; fieldStats as from calculateFieldStats on "Lap Split".
+    // Drop-outs of lap N are runners who completed lap N - 1 but not lap N.
+    function correlateConditions(fieldStats, hours, fields) {
+        const byLap = new Map(hours.map(entry => [entry.hour, entry]));
+        const medians = fieldStats.map(lapStats => lapStats ? lapStats.median : null);
+        const dropouts = fieldStats.map((lapStats, i) => i === 0 ? null : fieldStats[i - 1].count - lapStats.count);
+
+        return fields.map(field => {
+            const values = fieldStats.map((_, i) => {
+                const entry = byLap.get(i + 1);
+                return entry && Number.isFinite(entry[field]) ? entry[field] : null;
+            });
+            const present = values.filter(value => value !== null);
+
+            return {
+                field,
+                hours: present.length,
+                min: present.length > 0 ? Math.min(...present) : null,
+                max: present.length > 0 ? Math.max(...present) : null,
+                median: calculateCorrelation(values, medians),
+                dropouts: calculateCorrelation(values, dropouts)
+            };
+        });
+    }
+
+    // Surface and length of a section (1-based) from an edition's "sections" manifest entry
+    function resolveSectionSpec(sectionsConfig, sectionNumber) {
+        const { first = [], repeat = [], overrides = [] } = sectionsConfig || {};
+        const scheduled = sectionNumber <= first.length
+            ? first[sectionNumber - 1]
+            : repeat[(sectionNumber - 1 - first.length) % repeat.length];
+        if (!scheduled || !(scheduled.laps > 0)) return null;
+
+        // Overrides change the appearance (e.g. rain swap) but keep the original duration
+        const override = overrides.find(o => o.section === sectionNumber) || {};
+        const surface = override.surface || scheduled.surface;
+        const label = override.label || surface.charAt(0).toUpperCase() + surface.slice(1);
+
+        return { laps: scheduled.laps, surface, label };
+    }
+
+    // Sections covering laps 1..maxLap: [{ number, startLap, endLap, laps, surface, label }]
+    function buildSections(sectionsConfig, maxLap) {
+        const sections = [];
+        let startLap = 1;
+        let sectionNumber = 1;
+
+        while (startLap <= maxLap) {
+            const spec = resolveSectionSpec(sectionsConfig, sectionNumber);
+            if (!spec) break;
+
+            sections.push({
+                number: sectionNumber,
+                startLap,
+                endLap: startLap + spec.laps - 1,
+                ...spec
+            });
+
+            startLap += spec.laps;
+            sectionNumber++;
+        }
+
+        return sections;
+    }
+
+    // Surface of the section a lap falls in, or null past the known sections
+    function getLapSurface(sections, lap) {
+        const section = sections.find(s => lap.Index >= s.startLap && lap.Index <= s.endLap);
+        return section ? section.surface : null;
+    }
+
+    // Clock hour (0-24) at which a lap started, from its Race Time minus its split
+    function getLapStartHour(lap) {
+        const raceTime = parseTimeToMinutes(lap['Race Time']);
+        const split = parseTimeToMinutes(lap['Lap Split']);
+        if (raceTime === null || split === null) return null;
+
+        return ((raceTime - split) / 60) % 24;
+    }
+
+    // Whether a lap started outside the daylight hours { from, to }
+    function lapStartsAtNight(lap, daylight) {
+        const hour = getLapStartHour(lap);
+        return hour !== null && (hour < daylight.from || hour >= daylight.to);
+    }
+
+    return {
+        parseTimeToMinutes,
+        formatDuration,
+        formatMinutes,
+        calculateStats,
+        calculatePercentile,
+        calculatePercentileRank,
+        calculateFieldStats,
+        calculateTrendline,
+        calculateEMA,
+        calculateRollingMedian,
+        calculateLoess,
+        calculatePiecewiseTrend,
+        describeSplits,
+        summariseRunnerLaps,
+        compareHeadToHead,
+        calculateMedianAbsoluteDeviation,
+        detectLapAnomalies,
+        summariseTeams,
+        calculateCorrelation,
+        correlateConditions,
+        resolveSectionSpec,
+        buildSections,
+        getLapSurface,
+        getLapStartHour,
+        lapStartsAtNight
+    };
+});
@@ -1,564 +1,3675 @@
+// Rest danger threshold in minutes when the permalink sets none
+const defaultRestDangerThreshold = 2;
+
 // Global variables
 let resultsData = [];
 let lapsData = [];
 let selectedRunners = new Set();
 let chart = null;
-let sortColumn = null;
-let sortDirection = 'asc';
-let currentEdition = '2025'; // Default edition
+let headToHeadChart = null; // Bar chart of the head-to-head panel, created on first use
+let teamChart = null; // Line chart of the team standings panel, created on first use
+let sortKeys = []; // Table sort order: [{ column, direction }], first key is primary
+let editions = []; // Edition manifests, in tab order
+let editionConfig = null; // Manifest of the current edition
+let currentEdition = null; // Set from editions.json
+let editionData = {}; // Loaded { results, laps } per edition, including dropped files
+let editionConditions = {}; // Loaded hourly conditions per edition, null when it has none
+let conditionsData = null; // Hourly conditions of the current edition: [{ hour, temperature, ... }]
+let comparison = null; // { edition, bib } of the runner compared across editions
+let dataIssues = new Map(); // Integrity issues per bib: [{ lap, message }]
+let lapAnomalies = new Map(); // Suspect laps per bib: lap index -> reasons, see detectLapAnomalies()
+let excludeAnomalies = false; // Leave suspect laps out of the runner statistics and overlays
+let legendOverrides = new Map(); // Dataset key -> hidden, for legend items the user toggled
+let splitWidth = null; // Left panel width in percent, null for the stylesheet default
+let editionViewStates = {}; // View state of each edition left via the tabs
+let restoringViewState = false; // Suppresses history entries while applying a view state
+let replayHour = null; // Hour shown by the race replay, null for final standings
+let replayTimer = null; // Interval id while the replay is playing
+let chartMetric = 'split'; // Lap field plotted on the chart, see chartMetrics
+let restDangerThreshold = defaultRestDangerThreshold; // Rest below this many minutes is highlighted
+let showFieldBands = false; // Overlay whole-field median and percentile band
+let fieldStats = []; // Per-lap field statistics of the plotted metric, index = lap - 1
+let showForecast = false; // Project each selected runner's drop-out lap (split view)
+let dropoutForecasts = []; // Forecasts drawn by the chart plugin: [{ name, color, earliest, likely, latest }]
+let survivalGroup = 'none'; // Survival view grouping within each edition: none, gender or age
+let liveFeed = null; // { url, format, intervalSeconds } while live mode is on
+let liveTimer = null; // Timeout id of the next live poll
+let liveDropped = new Map(); // Bib -> { lap, at } of runners seen dropping while live
+let lapRange = null; // { from, to } laps shown and used for overlays, null for the whole race
+let yView = null; // { min, max } of a zoomed y-axis, null for the metric's default range
+let runnerOverlayExclusions = new Map(); // Bib -> Set of overlay types switched off for that runner
+let offlineDataVersion = null; // Dataset version the service worker reported as cached
+let tableMode = 'results'; // Table rows and columns shown: results, pacing or teams
+let activeRowKey = null; // Bib or country of the row holding the table's keyboard focus stop
+let compactLayout = false; // Panels stacked and chart condensed for narrow screens
+let stackedTableHeight = null; // Table panel height in vh while stacked, null for the stylesheet default
+let conditionsField = null; // Condition drawn on the chart's conditions axis, see conditionFields
+let tableFilters = { search: '', gender: '', country: '', ageGroup: '', minLaps: null, maxLaps: null };
+
+// Results table columns; hidden ones can be shown from the column chooser
+const tableColumns = [
+    { key: 'Place', label: 'Place' },
+    { key: 'Bib', label: 'Bib' },
+    { key: 'Name', label: 'Name' },
+    { key: 'Gender', label: 'Gender', hidden: true },
+    { key: 'Age', label: 'Age' },
+    { key: 'City', label: 'City', hidden: true },
+    { key: 'State', label: 'State' },
+    { key: 'Laps', label: 'Laps' },
+    { key: 'Miles', label: 'Miles' },
+    { key: 'KM', label: 'KM' },
+    { key: 'RaceTime', label: 'RaceTime', time: true },
+    { key: 'Last Loop', label: 'Last Loop', time: true, hidden: true },
+    { key: 'Fast Loop', label: 'Fast Loop', time: true, hidden: true },
+    { key: 'Avg Loop', label: 'Avg Loop', time: true, hidden: true },
+    { key: 'Slow Loop', label: 'Slow Loop', time: true, hidden: true },
+    { key: 'MinRest', label: 'Min Rest', format: formatMinutes },
+    { key: 'AvgRest', label: 'Avg Rest', format: formatMinutes }
+];
+let visibleColumns = new Set(tableColumns.filter(c => !c.hidden).map(c => c.key));
+
+// Pacing leaderboard columns, derived per runner by getPacingStats()
+const pacingColumns = [
+    { key: 'Place', label: 'Place' },
+    { key: 'Bib', label: 'Bib' },
+    { key: 'Name', label: 'Name' },
+    { key: 'Laps', label: 'Laps' },
+    { key: 'PaceCV', label: 'CV', title: 'Coefficient of variation of lap splits', format: value => `${value.toFixed(1)}%` },
+    { key: 'FatigueSlope', label: 'Fatigue', title: 'Trendline slope of lap splits, seconds per lap', format: value => `${value >= 0 ? '+' : ''}${(value * 60).toFixed(1)}s` },
+    { key: 'SteadyStreak', label: 'Streak', title: 'Longest run of laps each within ±1 minute of the previous one' },
+    { key: 'SlowLaps', label: '>55 min', title: 'Laps slower than 55 minutes' },
+    { key: 'AvgRest', label: 'Avg Rest', format: formatMinutes }
+];
+
+// Team standings columns, one row per country from summariseTeams()
+const teamColumns = [
+    { key: 'Rank', label: 'Rank' },
+    { key: 'Country', label: 'Country' },
+    { key: 'Runners', label: 'Runners' },
+    { key: 'TotalLaps', label: 'Total laps' },
+    { key: 'BestLaps', label: 'Best', title: 'Laps of the country\'s best runner' },
+    { key: 'AvgLaps', label: 'Avg', title: 'Average laps per runner', format: value => value.toFixed(1) },
+    { key: 'StillIn', label: 'Still in', title: 'Runners who completed the latest lap' }
+];
+
+// Countries drawn in the team chart before the legend has to reveal them
+const teamChartTopCount = 8;
+
+// Age groups offered by the age filter (inclusive bounds)
+const ageGroups = [
+    { key: 'u30', label: 'Under 30', min: 0, max: 29 },
+    { key: '30s', label: '30-39', min: 30, max: 39 },
+    { key: '40s', label: '40-49', min: 40, max: 49 },
+    { key: '50s', label: '50-59', min: 50, max: 59 },
+    { key: '60plus', label: '60+', min: 60, max: Infinity }
+];
+
+// Delay between replay steps in milliseconds
+const replayStepMs = 700;
+
+// Lap fields the chart can plot, with their y-axis range
+const chartMetrics = {
+    split: { field: 'Lap Split', title: 'Time (minutes)', min: 30, max: 60 },
+    rest: { field: 'Rest Time', title: 'Rest time (minutes)', min: 0, max: 30 },
+    survival: { field: null, title: 'Starters still running (%)', min: 0, max: 100 }
+};
+
+// Hourly race conditions an edition's "conditions" file may record; hour N is the hour of lap N
+const conditionFields = {
+    temperature: { label: 'Temperature', unit: '°C', color: '#dc3545' },
+    precipitation: { label: 'Precipitation', unit: 'mm', color: '#0d6efd', min: 0, stepped: true },
+    humidity: { label: 'Humidity', unit: '%', color: '#20c997', min: 0, max: 100 }
+};
+
+// Laps beyond the last completed one searched by the drop-out forecast
+const forecastHorizon = 100;
+
+// Recent laps whose trend drives the forecast (half a day follows fades better than the whole race)
+const forecastWindow = 12;
+
+// Laps past a runner's last lap the x-axis may grow by to show their forecast
+const forecastAxisLaps = 12;
+
+// Dash patterns telling survival groups of the same edition apart
+const survivalDashes = [[], [8, 4], [2, 3], [12, 3, 2, 3], [4, 8]];
+
+// Allowed deviation for lap timing checks (timing exports round to the second)
+const integrityToleranceSeconds = 2;
+
+// Marker colour of suspect laps on the chart
+const anomalyColor = '#fd7e14';
+
+// Header variants found in raw timing exports, mapped to the laps.json field names
+const lapHeaderAliases = {
+    'file': 'File',
+    'bib': 'File',
+    '#': 'Index',
+    'index': 'Index',
+    'lap': 'Index',
+    'loop': 'Index',
+    'race time': 'Race Time',
+    'measurement': 'Race Time',
+    'lap split': 'Lap Split',
+    'split': 'Lap Split',
+    'lap time': 'Lap Split',
+    'rest time': 'Rest Time',
+    'rest': 'Rest Time'
+};
+
+// Results fields stored as numbers in results.json
+const numericResultFields = ['Bib', 'Age', 'Laps', 'Miles', 'KM'];
+
+// Fallback colours for editions whose manifest names none
+const editionPalette = ['#2a5298', '#FF9F40', '#4BC0C0', '#9966FF', '#FF6384', '#8C564B'];
+
+// Daylight hours (local clock) used when a manifest gives none
+const defaultDaylight = { from: 7, to: 19 };
+
+// Narrower windows (px) stack the table above the chart and condense the chart
+const compactLayoutWidth = 700;
+
+// localStorage key of the last live feed URL per edition
+const liveFeedsKey = 'byuLiveFeeds';
+
+// Default seconds between live polls when the edition manifest sets none
+const defaultLiveIntervalSeconds = 60;
+
+// How long a runner seen dropping during live mode stays marked
+const liveDropMarkMs = 60 * 60 * 1000;
+
+// localStorage key of manual cross-edition runner links
+const runnerLinksKey = 'byuRunnerLinks';
+
+// localStorage key of the race notes of every edition
+const annotationsKey = 'byuAnnotations';
+
+// Characters of a race note drawn on the chart (the tooltip shows all of it)
+const annotationLabelLength = 28;
+
+// Background colours for course section surfaces
+const surfaceColors = {
+    trail: 'rgba(255, 223, 0, 0.1)',
+    road: 'rgba(0, 0, 139, 0.08)'
+};
 
 // Color palette for multiple runners
 const colorPalette = [
     '#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF',
-    '#FF9F40', '#FF6384', '#C9CBCF', '#4BC0C0', '#FF6384'
+    '#FF9F40', '#2E8B57', '#8C564B', '#E377C2', '#17BECF'
+];
+
+// Selected runners beyond which overlays leave the legend and tooltip
+const manyRunnersThreshold = 6;
+
+// Datasets beyond which chart updates skip the animation
+const animatedDatasetLimit = 40;
+
+// localStorage key of the overlay settings
+const overlaySettingsKey = 'byuOverlaySettings';
+
+// Per-runner analysis overlays and their default settings
+const overlayTypes = [
+    { key: 'trend', label: 'Trend' },
+    { key: 'ema', label: 'EMA' },
+    { key: 'median', label: 'Median' },
+    { key: 'regression', label: 'Regression' },
+    { key: 'std', label: 'Std dev' }
 ];
+const defaultOverlaySettings = {
+    trend: true,
+    ema: true,
+    emaWindow: 6,
+    median: false,
+    medianWindow: 5,
+    regression: 'none', // none, loess or piecewise (one trend per section)
+    loessSpan: 0.3,
+    std: true
+};
+let overlaySettings = { ...defaultOverlaySettings }; // Overlays drawn for selected runners
 
 // Load data on page load
 document.addEventListener('DOMContentLoaded', async () => {
-    checkScreenSize();
+    await loadEditions();
+    setupOffline();
     await loadData();
+    validateData();
+    renderFilterOptions();
+    renderConditionsPanel();
     renderTable();
     setupEventListeners();
+    setupAnomalyPanel();
+    setupTableFilters();
     setupEditionTabs();
+    setupFileDrop();
     initChart();
+    setupResponsiveLayout();
     setupResizer();
+    setupReplay();
+    setupLiveMode();
+    setupChartControls();
+    setupOverlaySettings();
+    setupLapBrush();
+    setupExports();
+    setupAnnotations();
+    setupPermalinks();
 });
 
-// Helper function to get data URLs based on environment and edition
-function getDataUrl(filename) {
-    const dataFolder = `data_${currentEdition}`;
+// Helper function to get repository file URLs based on environment
+function getRepoUrl(path) {
     if (window.location.hostname.includes('github.io')) {
         // GitHub Pages - use raw.githubusercontent.com URLs
-        return `https://raw.githubusercontent.com/milosha/byu-2025/main/${dataFolder}/${filename}`;
+        return `https://raw.githubusercontent.com/milosha/byu-2025/main/${path}`;
     } else {
         // Local or other hosting - use relative paths
-        return `./${dataFolder}/${filename}`;
+        return `./${path}`;
     }
 }
 
-// Load data from JSON files
-async function loadData() {
+// Helper function to get data URLs based on environment and edition
+function getDataUrl(filename, edition = currentEdition) {
+    // Editions may point at data hosted elsewhere via "dataUrl" in their manifest
+    const config = editions.find(e => e.edition === edition);
+    return config && config.dataUrl
+        ? resolveSourceUrl(filename, config.dataUrl)
+        : getRepoUrl(`data_${edition}/${filename}`);
+}
+
+// Resolve a file name against a base folder URL (absolute or relative to the page)
+function resolveSourceUrl(filename, base) {
+    const folder = base.endsWith('/') ? base : `${base}/`;
+    return new URL(filename, new URL(folder, window.location.href)).href;
+}
+
+// Load the edition index and every edition manifest
+async function loadEditions() {
     try {
-        const [resultsResponse, lapsResponse] = await Promise.all([
-            fetch(getDataUrl('results.json')),
-            fetch(getDataUrl('laps.json'))
-        ]);
+        const indexResponse = await fetch(getRepoUrl('editions.json'));
+        const index = await indexResponse.json();
 
-        resultsData = await resultsResponse.json();
-        lapsData = await lapsResponse.json();
+        editions = await Promise.all(index.editions.map(async edition => {
+            const response = await fetch(getDataUrl('edition.json', edition));
+            return response.json();
+        }));
 
-        console.log(`${currentEdition} Results loaded:`, resultsData.length);
-        console.log(`${currentEdition} Laps loaded:`, lapsData.length);
+        // An edition in the permalink takes precedence over the default
+        const linkedEdition = parseViewState(window.location.hash).edition;
+        currentEdition = editions.some(e => e.edition === linkedEdition)
+            ? linkedEdition
+            : index.default || editions[0].edition;
+        editionConfig = editions.find(e => e.edition === currentEdition);
+
+        console.log('Editions loaded:', editions.map(e => e.edition).join(', '));
     } catch (error) {
-        console.error('Error loading data:', error);
+        console.error('Error loading editions:', error);
     }
+
+    renderEditionTabs();
+    renderDataSources();
 }
 
-// Setup edition tab switching
-function setupEditionTabs() {
-    const tabButtons = document.querySelectorAll('#editionTabs button[data-edition]');
-
-    tabButtons.forEach(button => {
-        button.addEventListener('click', async () => {
-            const edition = button.getAttribute('data-edition');
-            if (edition !== currentEdition) {
-                currentEdition = edition;
-
-                // Clear selections
-                selectedRunners.clear();
-                sortColumn = null;
-                sortDirection = 'asc';
-
-                // Reload data
-                await loadData();
-                renderTable();
-                updateChart();
-                updateSelectedRunnersBadges();
-
-                console.log(`Switched to ${edition} edition`);
-            }
-        });
+// Render one tab per edition manifest
+function renderEditionTabs() {
+    const tabList = document.getElementById('editionTabs');
+    tabList.innerHTML = '';
+
+    editions.forEach(config => {
+        const item = document.createElement('li');
+        item.className = 'nav-item';
+        item.setAttribute('role', 'presentation');
+        item.innerHTML = `
+            <button class="nav-link${config.edition === currentEdition ? ' active' : ''}" id="tab-${config.edition}" data-bs-toggle="tab" data-edition="${config.edition}" type="button" role="tab">
+                ${config.label || config.edition}
+            </button>
+        `;
+        tabList.appendChild(item);
     });
 }
 
-// Render table
-function renderTable() {
-    const tbody = document.getElementById('tableBody');
-    tbody.innerHTML = '';
-
-    // Sort data only if a sort column is selected
-    const sortedData = sortColumn ? [...resultsData].sort((a, b) => {
-        let aVal = a[sortColumn];
-        let bVal = b[sortColumn];
+// Register the service worker, ask it to cache every edition and track connectivity
+function setupOffline() {
+    window.addEventListener('online', renderConnectionStatus);
+    window.addEventListener('offline', renderConnectionStatus);
+    renderConnectionStatus();
 
-        // Handle numeric vs string sorting
-        if (typeof aVal === 'number' || !isNaN(aVal)) {
-            aVal = Number(aVal) || 0;
-            bVal = Number(bVal) || 0;
-        }
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
 
-        if (sortDirection === 'asc') {
-            return aVal > bVal ? 1 : -1;
-        } else {
-            return aVal < bVal ? 1 : -1;
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'dataCached') {
+            offlineDataVersion = event.data.version;
+            renderConnectionStatus();
         }
-    }) : resultsData;
-
-    // Render rows
-    sortedData.forEach(runner => {
-        const row = document.createElement('tr');
-        row.dataset.bib = runner.Bib;
-        row.classList.add('runner-row');
-
-        if (selectedRunners.has(runner.Bib)) {
-            row.classList.add('table-active');
-        }
-
-        row.innerHTML = `
-            <td>${runner.Place}</td>
-            <td>${runner.Bib}</td>
-            <td>${runner.Name}</td>
-            <td>${runner.Age}</td>
-            <td>${runner.State}</td>
-            <td>${runner.Laps}</td>
-            <td>${runner.Miles}</td>
-            <td>${runner.KM}</td>
-            <td>${runner.RaceTime}</td>
-        `;
-
-        tbody.appendChild(row);
     });
+
+    navigator.serviceWorker.register('sw.js')
+        .then(() => navigator.serviceWorker.ready)
+        .then(registration => {
+            registration.active.postMessage({ type: 'cacheData', ...getOfflineDataset() });
+        })
+        .catch(error => console.error('Service worker registration failed:', error));
 }
 
-// Setup event listeners
-function setupEventListeners() {
-    // Table sorting
-    document.querySelectorAll('.sortable').forEach(header => {
-        header.addEventListener('click', () => {
-            const column = header.dataset.column;
-            if (sortColumn === column) {
-                sortDirection = sortDirection === 'asc' ? 'desc' : 'asc';
-            } else {
-                sortColumn = column;
-                sortDirection = 'asc';
-            }
-            renderTable();
-        });
-    });
+// Data files of every edition and their combined version; a new version replaces the cached data
+function getOfflineDataset() {
+    const hosted = editions.filter(e => e.edition !== 'dropped');
+    const urls = [getRepoUrl('editions.json')];
 
-    // Row selection
-    document.getElementById('tableBody').addEventListener('click', (e) => {
-        const row = e.target.closest('tr');
-        if (row) {
-            const bib = parseInt(row.dataset.bib);
-            if (selectedRunners.has(bib)) {
-                selectedRunners.delete(bib);
-                row.classList.remove('table-active');
-            } else {
-                selectedRunners.add(bib);
-                row.classList.add('table-active');
-            }
-            updateChart();
-            updateSelectedRunnersBadges();
+    hosted.forEach(config => {
+        urls.push(getDataUrl('edition.json', config.edition), getDataUrl('results.json', config.edition));
+        if (config.lapsSource !== 'tsv') {
+            urls.push(getDataUrl('laps.json', config.edition));
+        }
+        if (config.conditions) {
+            urls.push(getDataUrl(config.conditions, config.edition));
         }
     });
+
+    return {
+        version: hosted.map(config => `${config.edition}@${config.dataVersion || 0}`).join('+'),
+        urls: urls.map(url => new URL(url, window.location.href).href)
+    };
 }
 
-// Helper function to determine if a section is trail or road
-function isTrailSection(sectionNumber) {
-    // Section 3 was road due to rain (exception)
-    if (sectionNumber === 3 && currentEdition === '2025') return false;
+// Show whether the page is offline and whether the race data is available offline
+function renderConnectionStatus() {
+    const status = document.getElementById('connectionStatus');
+    const cached = offlineDataVersion !== null;
 
-    // Odd sections are normally trail, even are road
-    return sectionNumber % 2 === 1;
+    if (!navigator.onLine) {
+        status.className = 'connection-status badge text-bg-warning';
+        status.textContent = cached ? 'Offline · showing cached data' : 'Offline';
+        status.title = cached ? 'Race data is served from the copy cached on this device' : 'Race data has not been cached on this device yet';
+    } else if (cached) {
+        status.className = 'connection-status badge text-bg-light';
+        status.textContent = '✓ Available offline';
+        status.title = 'Every edition is cached on this device';
+    } else {
+        status.className = 'connection-status badge d-none';
+    }
 }
 
-// Initialize Chart
-function initChart() {
-    const ctx = document.getElementById('lapChart').getContext('2d');
-
-    // Custom plugin to draw day/night background
-    const dayNightPlugin = {
-        id: 'dayNightBackground',
-        beforeDraw: (chart) => {
-            const ctx = chart.ctx;
-            const chartArea = chart.chartArea;
-            const xScale = chart.scales.x;
+// Render the data source link of every edition
+function renderDataSources() {
+    const container = document.getElementById('dataSources');
+    container.innerHTML = '';
 
-            if (!xScale || !chartArea) return;
+    editions.forEach(config => {
+        if (!config.source) return;
 
-            ctx.save();
+        const link = document.createElement('a');
+        link.href = config.source.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = config.source.label || `Data source ${config.edition}`;
+        container.appendChild(link);
+        container.appendChild(document.createTextNode(' '));
+    });
+}
 
-            // Get the number of laps
-            const maxLap = xScale.max || 0;
+// Load the current edition's data
+async function loadData() {
+    const data = await loadEditionData(currentEdition);
+    resultsData = data.results;
+    lapsData = data.laps;
+    conditionsData = await loadConditions(currentEdition);
+}
 
-            // Draw sections with trail/road logic
-            let currentLap = 1;
-            let sectionNumber = 1;
+// Load the hourly conditions file an edition manifest names in "conditions" (cached per edition).
+// It sits next to results.json: { "hours": [{ "hour": 1, "temperature": 14.5, "precipitation": 0, "humidity": 82 }] }
+async function loadConditions(edition) {
+    if (edition in editionConditions) return editionConditions[edition];
 
-            while (currentLap <= maxLap) {
-                // Duration is based on original schedule (odd = 11, even = 13)
-                const sectionLaps = sectionNumber === 1 ? 10 : (sectionNumber % 2 === 1 ? 11 : 13);
-                const sectionEnd = Math.min(currentLap + sectionLaps - 1, maxLap);
+    const config = editions.find(e => e.edition === edition);
+    let hours = null;
 
-                // Appearance is based on isTrailSection (handles rain exception)
-                const isTrail = isTrailSection(sectionNumber);
+    if (config && config.conditions) {
+        try {
+            const response = await fetch(getDataUrl(config.conditions, edition));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            hours = (Array.isArray(data) ? data : data.hours || []).filter(entry => Number.isInteger(entry.hour) && entry.hour >= 1);
+            console.log(`${edition} Conditions loaded:`, hours.length);
+        } catch (error) {
+            console.error('Error loading conditions:', error);
+        }
+    }
 
-                // Draw background
-                const sectionStart = xScale.getPixelForValue(currentLap - 1);
-                const sectionEndPixel = xScale.getPixelForValue(sectionEnd);
+    editionConditions[edition] = hours;
+    return hours;
+}
 
-                ctx.fillStyle = isTrail ? 'rgba(255, 223, 0, 0.1)' : 'rgba(0, 0, 139, 0.08)';
-                ctx.fillRect(
-                    sectionStart,
-                    chartArea.top,
-                    sectionEndPixel - sectionStart,
-                    chartArea.bottom - chartArea.top
-                );
+// Load an edition from JSON files, or from the raw per-runner TSV files (cached per edition)
+async function loadEditionData(edition) {
+    if (editionData[edition]) return editionData[edition];
 
-                currentLap += sectionLaps;
-                sectionNumber++;
-            }
+    const config = editions.find(e => e.edition === edition);
 
-            // Add labels for sections
-            ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-            ctx.font = '12px Arial';
-            ctx.textAlign = 'center';
+    try {
+        const resultsResponse = await fetch(getDataUrl('results.json', edition));
+        const results = await resultsResponse.json();
 
-            currentLap = 1;
-            sectionNumber = 1;
+        // Fall back to the TSV files when the edition ships no pre-baked laps.json
+        const lapsResponse = config && config.lapsSource === 'tsv'
+            ? null
+            : await fetch(getDataUrl('laps.json', edition));
+        const laps = lapsResponse && lapsResponse.ok
+            ? await lapsResponse.json()
+            : await loadLapsFromTsv(results.map(r => r.Bib), edition);
 
-            while (currentLap <= maxLap) {
-                // Duration is based on original schedule (odd = 11, even = 13)
-                const sectionLaps = sectionNumber === 1 ? 10 : (sectionNumber % 2 === 1 ? 11 : 13);
-                const centerLap = currentLap + (sectionLaps - 1) / 2;
+        editionData[edition] = { results, laps };
 
-                // Appearance is based on isTrailSection (handles rain exception)
-                const isTrail = isTrailSection(sectionNumber);
+        console.log(`${edition} Results loaded:`, results.length);
+        console.log(`${edition} Laps loaded:`, laps.length);
+    } catch (error) {
+        console.error('Error loading data:', error);
+        return { results: [], laps: [] };
+    }
 
-                if (centerLap <= maxLap) {
-                    const centerPixel = xScale.getPixelForValue(centerLap - 0.5);
-                    let label = isTrail ? 'Trail' : 'Road';
+    return editionData[edition];
+}
 
-                    // Special label for section 3 (rain exception)
-                    if (sectionNumber === 3 && currentEdition === '2025') {
-                        label = 'Road (rain)';
-                    }
+// Build the laps dataset from the raw N.tsv file of each bib
+async function loadLapsFromTsv(bibs, edition = currentEdition) {
+    const perRunner = await Promise.all(bibs.map(async bib => {
+        const response = await fetch(getDataUrl(`${bib}.tsv`, edition));
+        if (!response.ok) return [];
+        return normaliseLapRows(parseDelimitedText(await response.text()), bib);
+    }));
 
-                    ctx.fillText(label, centerPixel, chartArea.top + 15);
-                }
+    return perRunner.flat().sort((a, b) => a.File - b.File || a.Index - b.Index);
+}
 
-                currentLap += sectionLaps;
-                sectionNumber++;
-            }
+// Split TSV/CSV text into trimmed headers and rows, detecting the delimiter from the header line
+function parseDelimitedText(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return { headers: [], rows: [] };
 
-            ctx.restore();
-        }
-    };
+    const headerLine = lines[0];
+    let delimiter = ',';
+    if (headerLine.includes('\t')) {
+        delimiter = '\t';
+    } else if (headerLine.split(';').length > headerLine.split(',').length) {
+        delimiter = ';';
+    }
 
-    chart = new Chart(ctx, {
-        type: 'line',
-        data: {
-            labels: [],
-            datasets: []
-        },
-        plugins: [dayNightPlugin],
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            plugins: {
-                title: {
-                    display: false
-                },
-                subtitle: {
-                    display: true,
-                    text: 'Click legend to (de)select data:',
-                    position: 'top',
-                    align: 'start',
-                    padding: {
-                        bottom: 10
-                    }
-                },
-                legend: {
-                    display: true,
-                    position: 'top',
-                    labels: {
-                        filter: function(legendItem, chartData) {
-                            // Hide "Upper Std Dev" from legend
-                            return !legendItem.text.includes('Upper Std Dev');
-                        }
-                    },
-                    onClick: function(e, legendItem, legend) {
-                        const chart = legend.chart;
-                        const clickedLabel = legendItem.text;
-
-                        // If clicking on Standard Deviation, toggle both upper and lower bands
-                        if (clickedLabel.includes('Standard Deviation')) {
-                            const runnerName = clickedLabel.replace(' Standard Deviation', '');
-
-                            // Find both std dev datasets for this runner
-                            chart.data.datasets.forEach((dataset, i) => {
-                                if (dataset.label === `${runnerName} Upper Std Dev` ||
-                                    dataset.label === `${runnerName} Standard Deviation`) {
-                                    const meta = chart.getDatasetMeta(i);
-                                    meta.hidden = !meta.hidden;
-                                }
-                            });
-                        } else {
-                            // Default behavior for other legend items
-                            const index = legendItem.datasetIndex;
-                            const meta = chart.getDatasetMeta(index);
-                            meta.hidden = !meta.hidden;
-                        }
+    const splitLine = line => {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
 
-                        chart.update();
-                    }
-                },
-                tooltip: {
-                    mode: 'index',
-                    intersect: false
-                }
-            },
-            scales: {
-                x: {
-                    title: {
-                        display: true,
-                        text: 'Lap Split Times (Trail: 11 hours, Road: 13 hours)'
-                    }
-                },
-                y: {
-                    title: {
-                        display: true,
-                        text: 'Time (minutes)'
-                    },
-                    min: 30,
-                    max: 60,
-                    ticks: {
-                        callback: function(value) {
-                            const mins = Math.floor(value);
-                            const secs = Math.round((value - mins) * 60);
-                            return `${mins}:${secs.toString().padStart(2, '0')}`;
-                        }
-                    }
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"') {
+                if (quoted && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    quoted = !quoted;
                 }
+            } else if (char === delimiter && !quoted) {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += char;
             }
         }
-    });
+        cells.push(cell.trim());
+        return cells;
+    };
+
+    return {
+        headers: splitLine(headerLine),
+        rows: lines.slice(1).map(splitLine)
+    };
 }
 
-// Parse time string (MM:SS or HH:MM:SS) to minutes
-function parseTimeToMinutes(timeStr) {
-    if (!timeStr) return null;
-    const parts = timeStr.split(':');
-    if (parts.length === 2) {
-        return parseInt(parts[0]) + parseInt(parts[1]) / 60;
-    } else if (parts.length === 3) {
-        // If it's HH:MM:SS format, convert to minutes
-        return parseInt(parts[0]) * 60 + parseInt(parts[1]) + parseInt(parts[2]) / 60;
-    }
-    return null;
+// Check whether a parsed table is a results export rather than lap splits
+function isResultsTable(table) {
+    return table.headers.some(h => h.toLowerCase() === 'name');
 }
 
-// Calculate statistics for a runner's laps
-function calculateStats(lapTimes) {
-    const validTimes = lapTimes.filter(t => t !== null);
-    if (validTimes.length === 0) return { mean: 0, stdDev: 0 };
+// Convert a parsed lap table to the File/Index/Race Time/Lap Split/Rest Time shape
+function normaliseLapRows(table, fileNumber) {
+    const fields = table.headers.map(h => lapHeaderAliases[h.toLowerCase()] || null);
 
-    const mean = validTimes.reduce((a, b) => a + b, 0) / validTimes.length;
-    const variance = validTimes.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / validTimes.length;
-    const stdDev = Math.sqrt(variance);
+    return table.rows.map(cells => {
+        const lap = { File: fileNumber, Index: null, 'Race Time': null, 'Lap Split': null, 'Rest Time': null };
+        fields.forEach((field, i) => {
+            if (!field || cells[i] === undefined || cells[i] === '') return;
+            lap[field] = field === 'File' || field === 'Index' ? parseInt(cells[i]) : cells[i];
+        });
+        return lap;
+    }).filter(lap => Number.isInteger(lap.File) && Number.isInteger(lap.Index));
+}
 
-    return { mean, stdDev };
+// Convert a parsed results table to the results.json shape
+function normaliseResultRows(table) {
+    return table.rows.map(cells => {
+        const runner = {};
+        table.headers.forEach((header, i) => {
+            if (!header) return;
+            const value = cells[i] === undefined ? '' : cells[i];
+            runner[header] = numericResultFields.includes(header) && value !== '' ? Number(value) : value;
+        });
+        return runner;
+    }).filter(runner => Number.isInteger(runner.Bib));
 }
 
-// Calculate linear regression for trendline
-function calculateTrendline(lapTimes) {
-    const validPoints = [];
-    lapTimes.forEach((time, index) => {
-        if (time !== null) {
-            validPoints.push({ x: index + 1, y: time });
-        }
+// Derive minimal results rows for dropped lap files without a results export
+function buildResultsFromLaps(laps) {
+    const bibs = [...new Set(laps.map(lap => lap.File))].sort((a, b) => a - b);
+
+    return bibs.map(bib => {
+        const runnerLaps = laps.filter(lap => lap.File === bib);
+        const lastLap = runnerLaps[runnerLaps.length - 1];
+        return {
+            Place: '',
+            Bib: bib,
+            Name: `Runner ${bib}`,
+            Age: '',
+            State: '',
+            Laps: runnerLaps.length,
+            Miles: '',
+            KM: '',
+            RaceTime: lastLap['Race Time'] || ''
+        };
     });
+}
 
-    if (validPoints.length < 2) return null;
+// Accept TSV/CSV timing files dropped anywhere on the page
+function setupFileDrop() {
+    const container = document.querySelector('.split-container');
+    const hasFiles = e => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
 
-    const n = validPoints.length;
-    const sumX = validPoints.reduce((sum, point) => sum + point.x, 0);
-    const sumY = validPoints.reduce((sum, point) => sum + point.y, 0);
-    const sumXY = validPoints.reduce((sum, point) => sum + point.x * point.y, 0);
-    const sumXX = validPoints.reduce((sum, point) => sum + point.x * point.x, 0);
+    document.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        container.classList.add('drag-over');
+    });
 
-    const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
-    const intercept = (sumY - slope * sumX) / n;
+    document.addEventListener('dragleave', (e) => {
+        if (!e.relatedTarget) {
+            container.classList.remove('drag-over');
+        }
+    });
 
-    return { slope, intercept };
+    document.addEventListener('drop', async (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        container.classList.remove('drag-over');
+        await ingestDroppedFiles(Array.from(e.dataTransfer.files));
+    });
 }
 
-// Calculate Exponential Moving Average (EMA) with 6-lap window
-function calculateEMA(lapTimes, windowSize = 6) {
-    if (lapTimes.length < 2) return null;
+// Build a dataset from dropped files and show it in its own tab
+async function ingestDroppedFiles(files) {
+    let results = null;
+    let laps = [];
 
-    const emaData = [];
-    const alpha = 2 / (windowSize + 1); // Smoothing factor
+    for (const file of files.filter(f => /\.(tsv|csv|txt)$/i.test(f.name))) {
+        const table = parseDelimitedText(await file.text());
 
-    for (let i = 0; i < lapTimes.length; i++) {
-        if (lapTimes[i] === null) {
-            emaData.push(null);
-            continue;
+        if (isResultsTable(table)) {
+            results = normaliseResultRows(table);
+        } else {
+            // Per-runner files carry the bib in their name (e.g. 12.tsv); merged files have a File column
+            const bibMatch = file.name.match(/^(\d+)\.(tsv|csv)$/i);
+            laps = laps.concat(normaliseLapRows(table, bibMatch ? parseInt(bibMatch[1]) : null));
         }
+    }
 
-        if (i === 0) {
-            // First value uses the actual lap time
-            emaData.push(lapTimes[i]);
-        } else {
-            // Collect valid previous laps within the window
-            const validPreviousLaps = [];
-            for (let j = Math.max(0, i - windowSize); j < i; j++) {
-                if (lapTimes[j] !== null) {
-                    validPreviousLaps.push(lapTimes[j]);
-                }
-            }
+    if (!results && laps.length === 0) {
+        renderDropStatus('No usable TSV/CSV data in the dropped files');
+        return;
+    }
 
-            if (validPreviousLaps.length === 0) {
-                emaData.push(lapTimes[i]);
-            } else {
-                // Calculate EMA: EMA = α × Current + (1 - α) × Previous EMA
-                const previousEMA = emaData[i - 1] !== null ? emaData[i - 1] : lapTimes[i];
-                const currentEMA = alpha * lapTimes[i] + (1 - alpha) * previousEMA;
-                emaData.push(currentEMA);
-            }
-        }
+    renderDropStatus('');
+
+    laps.sort((a, b) => a.File - b.File || a.Index - b.Index);
+    editionData.dropped = {
+        results: results || buildResultsFromLaps(laps),
+        laps
+    };
+
+    if (!editions.some(e => e.edition === 'dropped')) {
+        editions.push({ edition: 'dropped', label: 'Dropped files', sections: {} });
+        renderEditionTabs();
     }
 
-    return emaData;
+    await switchEdition('dropped', true);
+    console.log(`Dropped files loaded: ${editionData.dropped.results.length} runners, ${laps.length} laps`);
 }
 
-// Update chart with selected runners
-function updateChart() {
-    if (!chart) return;
+// Show or clear the message about files that could not be loaded
+function renderDropStatus(message) {
+    const status = document.getElementById('dropStatus');
+    status.textContent = message;
+    status.classList.toggle('d-none', !message);
+}
 
-    const datasets = [];
-    let maxLaps = 0;
+// Setup the live mode toggle and feed URL
+function setupLiveMode() {
+    document.getElementById('liveToggle').addEventListener('click', () => {
+        if (liveFeed) {
+            stopLiveMode();
+        } else {
+            startLiveMode(document.getElementById('liveUrl').value.trim());
+        }
+    });
 
-    Array.from(selectedRunners).forEach((bib, index) => {
-        const runner = resultsData.find(r => r.Bib === bib);
-        if (!runner) return;
+    syncLiveControls();
+}
 
-        // Get lap data for this runner (File number corresponds to Bib)
-        const runnerLaps = lapsData.filter(lap => lap.File === bib);
-        const lapTimes = runnerLaps.map(lap => parseTimeToMinutes(lap['Lap Split']));
+// Last live feed URL used per edition: { edition: url }
+function getSavedLiveFeeds() {
+    try {
+        return JSON.parse(localStorage.getItem(liveFeedsKey)) || {};
+    } catch (error) {
+        return {};
+    }
+}
 
-        maxLaps = Math.max(maxLaps, lapTimes.length);
+// Feed URL for the current edition: the last one used, else the manifest's
+function getLiveFeedUrl() {
+    return getSavedLiveFeeds()[currentEdition] || (editionConfig && editionConfig.live ? editionConfig.live.url : '');
+}
 
-        const color = colorPalette[index % colorPalette.length];
+// Reflect the live mode state in its controls
+function syncLiveControls() {
+    const toggle = document.getElementById('liveToggle');
+    toggle.textContent = liveFeed ? '■ Stop live' : '● Go live';
+    toggle.classList.toggle('btn-danger', Boolean(liveFeed));
+    toggle.classList.toggle('btn-outline-danger', !liveFeed);
 
-        // Find min and max points
-        const validTimes = lapTimes.filter(t => t !== null);
-        const minTime = Math.min(...validTimes);
-        const maxTime = Math.max(...validTimes);
+    const urlInput = document.getElementById('liveUrl');
+    urlInput.disabled = Boolean(liveFeed);
+    if (!liveFeed) {
+        urlInput.value = getLiveFeedUrl();
+        document.getElementById('liveStatus').textContent = '';
+    }
+}
 
-        // Main line dataset
-        const dataset = {
-            label: runner.Name,
-            data: lapTimes,
-            borderColor: color,
-            backgroundColor: color + '33',
+// Start polling a live feed: a JSON feed, or a folder serving results.json and laps.json
+function startLiveMode(url) {
+    if (!url) {
+        document.getElementById('liveStatus').textContent = 'Enter a feed URL';
+        return;
+    }
+
+    const manifestLive = editionConfig && editionConfig.live && editionConfig.live.url === url ? editionConfig.live : {};
+    liveFeed = {
+        url,
+        format: manifestLive.format || (url.endsWith('/') ? 'files' : 'feed'),
+        intervalSeconds: manifestLive.intervalSeconds || defaultLiveIntervalSeconds
+    };
+    liveDropped.clear();
+
+    localStorage.setItem(liveFeedsKey, JSON.stringify({ ...getSavedLiveFeeds(), [currentEdition]: url }));
+
+    syncLiveControls();
+    pollLiveFeed(liveFeed);
+}
+
+// Stop polling; merged laps stay in place
+function stopLiveMode() {
+    clearTimeout(liveTimer);
+    liveTimer = null;
+    liveFeed = null;
+    syncLiveControls();
+}
+
+// Fetch the feed once, merge it and schedule the next poll
+async function pollLiveFeed(feed) {
+    const status = document.getElementById('liveStatus');
+    const now = () => new Date().toLocaleTimeString();
+
+    try {
+        const update = await fetchLiveFeed(feed);
+        if (feed !== liveFeed) return; // Stopped or restarted while fetching
+
+        const merged = mergeLiveData(update);
+        refreshAfterLiveUpdate();
+
+        const changes = [`${merged.newLaps} new lap${merged.newLaps === 1 ? '' : 's'}`];
+        if (merged.dropped.length > 0) changes.push(`${merged.dropped.length} dropped`);
+        status.textContent = `Updated ${now()} · ${changes.join(', ')}`;
+        status.classList.remove('text-danger');
+    } catch (error) {
+        if (feed !== liveFeed) return;
+        console.error('Error polling live feed:', error);
+        status.textContent = `Update failed at ${now()}, retrying`;
+        status.classList.add('text-danger');
+    }
+
+    liveTimer = setTimeout(() => pollLiveFeed(feed), feed.intervalSeconds * 1000);
+}
+
+// Fetch and normalise one snapshot of a live feed into { results, laps }
+async function fetchLiveFeed(feed) {
+    const fetchJson = async url => {
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+        return response.json();
+    };
+
+    if (feed.format === 'files') {
+        const [results, laps] = await Promise.all([
+            fetchJson(resolveSourceUrl('results.json', feed.url)),
+            fetchJson(resolveSourceUrl('laps.json', feed.url))
+        ]);
+        return parseLiveFeed({ results, laps });
+    }
+
+    return parseLiveFeed(await fetchJson(feed.url));
+}
+
+// Accept { results, laps } as arrays of objects or raceresult-style { DataFields, data } tables
+function parseLiveFeed(payload) {
+    const toTable = part => {
+        // raceresult groups rows by contest and category in nested objects
+        const flatten = data => Array.isArray(data) ? data : Object.values(data).flatMap(flatten);
+        return {
+            headers: part.DataFields.map(String),
+            rows: flatten(part.data || []).map(row => row.map(cell => cell === null ? '' : String(cell)))
+        };
+    };
+    const isTable = part => part && Array.isArray(part.DataFields);
+
+    if (isTable(payload)) {
+        const table = toTable(payload);
+        return isResultsTable(table)
+            ? { results: normaliseResultRows(table), laps: [] }
+            : { results: null, laps: normaliseLapRows(table, null) };
+    }
+
+    return {
+        results: isTable(payload.results) ? normaliseResultRows(toTable(payload.results)) : payload.results || null,
+        laps: isTable(payload.laps) ? normaliseLapRows(toTable(payload.laps), null) : payload.laps || []
+    };
+}
+
+// Merge a feed snapshot into the loaded data in place, keeping selection and view
+function mergeLiveData(update) {
+    const droppedBefore = getDroppedBibs();
+    const lapIndex = new Map(lapsData.map(lap => [`${lap.File}:${lap.Index}`, lap]));
+    const touchedBibs = new Set();
+    let newLaps = 0;
+
+    update.laps.forEach(lap => {
+        const existing = lapIndex.get(`${lap.File}:${lap.Index}`);
+        if (existing) {
+            Object.assign(existing, lap);
+        } else {
+            lapsData.push(lap);
+            newLaps++;
+        }
+        touchedBibs.add(lap.File);
+    });
+    lapsData.sort((a, b) => a.File - b.File || a.Index - b.Index);
+
+    if (update.results) {
+        update.results.forEach(runner => {
+            const existing = resultsData.find(r => r.Bib === runner.Bib);
+            if (existing) {
+                Object.assign(existing, runner);
+            } else {
+                resultsData.push(runner);
+            }
+        });
+    }
+
+    // Runners only known from their laps, and lap totals when the feed carries no results
+    touchedBibs.forEach(bib => {
+        const runnerLaps = lapsData.filter(lap => lap.File === bib);
+        let runner = resultsData.find(r => r.Bib === bib);
+        if (!runner) {
+            runner = buildResultsFromLaps(runnerLaps)[0];
+            resultsData.push(runner);
+        }
+        if (!update.results) {
+            runner.Laps = runnerLaps.length;
+            runner.RaceTime = formatDuration(runnerLaps.reduce((sum, lap) => sum + (parseTimeToMinutes(lap['Lap Split']) || 0), 0));
+            if (editionConfig && editionConfig.lapDistance) {
+                runner.Miles = Number((runnerLaps.length * editionConfig.lapDistance.miles).toFixed(2));
+                runner.KM = Number((runnerLaps.length * editionConfig.lapDistance.km).toFixed(3));
+            }
+        }
+    });
+
+    const dropped = [...getDroppedBibs()].filter(bib => !droppedBefore.has(bib));
+    dropped.forEach(bib => {
+        liveDropped.set(bib, { lap: lapsData.filter(lap => lap.File === bib).length, at: Date.now() });
+    });
+
+    return { newLaps, dropped };
+}
+
+// Runners more than a lap behind the leader: they missed a lap that has closed
+function getDroppedBibs() {
+    const lapCounts = new Map(resultsData.map(r => [r.Bib, 0]));
+    let leaderLaps = 0;
+    lapsData.forEach(lap => {
+        lapCounts.set(lap.File, (lapCounts.get(lap.File) || 0) + 1);
+        leaderLaps = Math.max(leaderLaps, lap.Index);
+    });
+
+    return new Set([...lapCounts.entries()].filter(([, count]) => count < leaderLaps - 1).map(([bib]) => bib));
+}
+
+// Redraw after merged live data without resetting selection or replay position
+function refreshAfterLiveUpdate() {
+    validateData();
+    renderFilterOptions();
+    renderConditionsPanel();
+
+    if (replayHour === null) {
+        resetReplay();
+    } else {
+        document.getElementById('replaySlider').max = lapsData.reduce((max, lap) => Math.max(max, lap.Index), 1);
+    }
+
+    renderTable();
+    updateChart();
+}
+
+// Setup edition tab switching
+function setupEditionTabs() {
+    document.getElementById('editionTabs').addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-edition]');
+        if (button) {
+            await switchEdition(button.getAttribute('data-edition'));
+        }
+    });
+}
+
+// Switch to another edition, reloading its data and restoring its view state
+async function switchEdition(edition, force = false, viewState = null) {
+    if (edition === currentEdition && !force) return;
+
+    stopLiveMode();
+    liveDropped.clear();
+
+    if (currentEdition) {
+        editionViewStates[currentEdition] = getViewState();
+    }
+
+    currentEdition = edition;
+    editionConfig = editions.find(e => e.edition === edition);
+
+    document.querySelectorAll('#editionTabs button[data-edition]').forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-edition') === edition);
+    });
+
+    // Clear selections
+    selectedRunners.clear();
+    sortKeys = [];
+    legendOverrides.clear();
+    runnerOverlayExclusions.clear();
+    lapRange = null;
+    yView = null;
+
+    // Reload data
+    await loadData();
+    validateData();
+    renderFilterOptions();
+    renderConditionsPanel();
+    resetReplay();
+    applyViewState(viewState || editionViewStates[edition] || {});
+    syncLiveControls();
+    renderAnnotations();
+    updatePermalink();
+
+    console.log(`Switched to ${edition} edition`);
+}
+
+// Capture the current view for permalinks and tab switches
+function getViewState() {
+    return {
+        edition: currentEdition,
+        runners: Array.from(selectedRunners),
+        sortKeys: sortKeys.map(key => ({ ...key })),
+        tableFilters: { ...tableFilters },
+        tableMode,
+        visibleColumns: new Set(visibleColumns),
+        legendOverrides: new Map(legendOverrides),
+        splitWidth,
+        chartMetric,
+        survivalGroup,
+        restDangerThreshold,
+        comparison,
+        showFieldBands,
+        showForecast,
+        conditionsField,
+        lapRange,
+        excludeAnomalies
+    };
+}
+
+// Apply a (partial) view state to the current edition and re-render
+function applyViewState(state) {
+    const wasRestoring = restoringViewState;
+    restoringViewState = true;
+
+    if (state.runners) {
+        selectedRunners = new Set(state.runners.filter(bib => resultsData.some(r => r.Bib === bib)));
+    }
+    if (state.tableMode) {
+        setTableMode(state.tableMode);
+    }
+    if (state.sortKeys) {
+        sortKeys = state.sortKeys;
+    }
+    if (state.tableFilters) {
+        tableFilters = { ...state.tableFilters };
+        renderFilterOptions();
+    }
+    if (state.visibleColumns) {
+        visibleColumns = new Set(state.visibleColumns);
+        syncColumnChooser();
+    }
+    if (state.legendOverrides) {
+        legendOverrides = new Map(state.legendOverrides);
+    }
+    if (state.splitWidth) {
+        applySplitWidth(state.splitWidth);
+    }
+    if (state.chartMetric) {
+        setChartMetric(state.chartMetric);
+    }
+    if (state.survivalGroup) {
+        survivalGroup = state.survivalGroup;
+        document.getElementById('survivalGroup').value = survivalGroup;
+    }
+    if (state.restDangerThreshold !== undefined) {
+        restDangerThreshold = state.restDangerThreshold;
+        document.getElementById('restThreshold').value = formatMinutes(restDangerThreshold);
+    }
+    if (state.comparison !== undefined) {
+        comparison = state.comparison;
+    }
+    if (state.showFieldBands !== undefined) {
+        showFieldBands = state.showFieldBands;
+        document.getElementById('fieldBandsToggle').checked = showFieldBands;
+    }
+    if (state.showForecast !== undefined) {
+        showForecast = state.showForecast;
+        document.getElementById('forecastToggle').checked = showForecast;
+    }
+    if (state.conditionsField !== undefined) {
+        conditionsField = state.conditionsField;
+        document.getElementById('conditionsField').value = conditionsField || '';
+    }
+    if (state.lapRange !== undefined) {
+        lapRange = state.lapRange;
+    }
+    if (state.excludeAnomalies !== undefined) {
+        excludeAnomalies = state.excludeAnomalies;
+        const toggle = document.getElementById('excludeAnomalies');
+        if (toggle) toggle.checked = excludeAnomalies;
+    }
+
+    renderTable();
+    updateChart();
+    updateSelectedRunnersBadges();
+
+    // A linked comparison needs every edition loaded before it can be drawn
+    if (comparison && editions.some(e => !editionData[e.edition])) {
+        loadAllEditions().then(() => updateChart());
+    }
+
+    restoringViewState = wasRestoring;
+}
+
+// Serialise a view state into a URL hash
+function serializeViewState(state) {
+    const params = new URLSearchParams();
+    const overrides = Array.from(state.legendOverrides.entries());
+
+    params.set('edition', state.edition);
+    if (state.runners.length > 0) params.set('runners', state.runners.join(','));
+    if (state.sortKeys.length > 0) {
+        params.set('sort', state.sortKeys.map(key => `${key.column}:${key.direction}`).join(','));
+    }
+
+    const filters = state.tableFilters;
+    if (filters.search) params.set('q', filters.search);
+    if (filters.gender) params.set('gender', filters.gender);
+    if (filters.country) params.set('country', filters.country);
+    if (filters.ageGroup) params.set('age', filters.ageGroup);
+    if (filters.minLaps !== null || filters.maxLaps !== null) {
+        params.set('laps', `${filters.minLaps === null ? '' : filters.minLaps}-${filters.maxLaps === null ? '' : filters.maxLaps}`);
+    }
+
+    if (state.tableMode !== 'results') params.set('table', state.tableMode);
+
+    const defaultColumns = tableColumns.filter(c => !c.hidden).map(c => c.key);
+    const columns = tableColumns.filter(c => state.visibleColumns.has(c.key)).map(c => c.key);
+    if (columns.join(',') !== defaultColumns.join(',')) params.set('cols', columns.join(','));
+    if (overrides.some(([, hidden]) => hidden)) {
+        params.set('hide', overrides.filter(([, hidden]) => hidden).map(([key]) => key).join(','));
+    }
+    if (overrides.some(([, hidden]) => !hidden)) {
+        params.set('show', overrides.filter(([, hidden]) => !hidden).map(([key]) => key).join(','));
+    }
+    if (state.splitWidth) params.set('split', state.splitWidth.toFixed(1));
+    if (state.chartMetric !== 'split') params.set('metric', state.chartMetric);
+    if (state.survivalGroup !== 'none') params.set('group', state.survivalGroup);
+    if (state.restDangerThreshold !== defaultRestDangerThreshold) params.set('rest', formatMinutes(state.restDangerThreshold));
+    if (state.comparison) params.set('compare', `${state.comparison.edition}:${state.comparison.bib}`);
+    if (state.showFieldBands) params.set('bands', '1');
+    if (state.showForecast) params.set('forecast', '1');
+    if (state.conditionsField) params.set('conditions', state.conditionsField);
+    if (state.lapRange) params.set('range', `${state.lapRange.from}-${state.lapRange.to}`);
+    if (state.excludeAnomalies) params.set('suspects', 'exclude');
+
+    // Keep separators readable in the address bar
+    return '#' + params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+}
+
+// Parse a URL hash into a partial view state (absent fields stay undefined)
+function parseViewState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {};
+    const list = name => params.get(name).split(',').filter(item => item !== '');
+
+    if (params.has('edition')) state.edition = params.get('edition');
+    state.runners = params.has('runners') ? list('runners').map(Number).filter(Number.isInteger) : [];
+
+    state.sortKeys = params.has('sort')
+        ? list('sort').map(item => {
+            const [column, direction] = item.split(':');
+            return { column, direction: direction === 'desc' ? 'desc' : 'asc' };
+        }).filter(key => tableColumns.concat(pacingColumns, teamColumns).some(c => c.key === key.column))
+        : [];
+    state.tableMode = ['pacing', 'teams'].includes(params.get('table')) ? params.get('table') : 'results';
+
+    const [minLaps, maxLaps] = (params.get('laps') || '-').split('-').map(value => value === '' ? null : parseInt(value));
+    state.tableFilters = {
+        search: params.get('q') || '',
+        gender: params.get('gender') || '',
+        country: params.get('country') || '',
+        ageGroup: params.get('age') || '',
+        minLaps: Number.isInteger(minLaps) ? minLaps : null,
+        maxLaps: Number.isInteger(maxLaps) ? maxLaps : null
+    };
+
+    state.visibleColumns = params.has('cols')
+        ? new Set(list('cols').filter(key => tableColumns.some(c => c.key === key)))
+        : new Set(tableColumns.filter(c => !c.hidden).map(c => c.key));
+
+    state.legendOverrides = new Map();
+    if (params.has('hide')) list('hide').forEach(key => state.legendOverrides.set(key, true));
+    if (params.has('show')) list('show').forEach(key => state.legendOverrides.set(key, false));
+
+    const split = parseFloat(params.get('split'));
+    if (split >= 10 && split <= 50) state.splitWidth = split;
+
+    state.chartMetric = chartMetrics[params.get('metric')] ? params.get('metric') : 'split';
+    state.survivalGroup = ['gender', 'age'].includes(params.get('group')) ? params.get('group') : 'none';
+
+    const rest = parseTimeToMinutes(params.get('rest') || '');
+    state.restDangerThreshold = rest !== null && rest >= 0 && rest < 60 ? rest : defaultRestDangerThreshold;
+
+    state.showFieldBands = params.get('bands') === '1';
+    state.excludeAnomalies = params.get('suspects') === 'exclude';
+    state.showForecast = params.get('forecast') === '1';
+    state.conditionsField = conditionFields[params.get('conditions')] ? params.get('conditions') : null;
+
+    const [rangeFrom, rangeTo] = (params.get('range') || '').split('-').map(value => parseInt(value));
+    state.lapRange = rangeFrom >= 1 && rangeTo >= rangeFrom ? { from: rangeFrom, to: rangeTo } : null;
+
+    const [compareEdition, compareBib] = (params.get('compare') || '').split(':');
+    state.comparison = compareEdition && Number.isInteger(Number(compareBib))
+        ? { edition: compareEdition, bib: Number(compareBib) }
+        : null;
+
+    return state;
+}
+
+// Record the current view in the URL hash as a new history entry
+function updatePermalink() {
+    if (restoringViewState || !currentEdition) return;
+
+    const hash = serializeViewState(getViewState());
+    if (hash !== window.location.hash) {
+        history.pushState(null, '', hash);
+    }
+}
+
+// Restore the view from the URL on load and on back/forward navigation
+function setupPermalinks() {
+    const applyHash = async () => {
+        const state = parseViewState(window.location.hash);
+        if (state.edition && state.edition !== currentEdition && editions.some(e => e.edition === state.edition)) {
+            restoringViewState = true;
+            await switchEdition(state.edition, false, state);
+            restoringViewState = false;
+        } else {
+            applyViewState(state);
+        }
+    };
+
+    window.addEventListener('popstate', applyHash);
+
+    if (window.location.hash) {
+        applyHash();
+    } else {
+        history.replaceState(null, '', serializeViewState(getViewState()));
+    }
+}
+
+// Run the integrity checks and the anomaly detector on the loaded data and show their panels
+function validateData() {
+    dataIssues = validateDataset(resultsData, lapsData);
+    renderDataWarnings();
+
+    lapAnomalies = new Map();
+    detectLapAnomalies(lapsData, { toleranceMinutes: integrityToleranceSeconds / 60 }).forEach(anomaly => {
+        if (!lapAnomalies.has(anomaly.File)) lapAnomalies.set(anomaly.File, new Map());
+        lapAnomalies.get(anomaly.File).set(anomaly.Index, anomaly.reasons);
+    });
+    renderAnomalyPanel();
+}
+
+// Check that results and laps agree and that each runner's laps are consistent
+function validateDataset(results, laps) {
+    const issues = new Map();
+    const addIssue = (bib, lap, message) => {
+        if (!issues.has(bib)) issues.set(bib, []);
+        issues.get(bib).push({ lap, message });
+    };
+    const tolerance = integrityToleranceSeconds / 60;
+
+    // Group laps by runner file once
+    const lapsByFile = new Map();
+    laps.forEach(lap => {
+        if (!lapsByFile.has(lap.File)) lapsByFile.set(lap.File, []);
+        lapsByFile.get(lap.File).push(lap);
+    });
+
+    lapsByFile.forEach((_, file) => {
+        if (!results.some(r => r.Bib === file)) {
+            addIssue(file, null, 'Laps recorded for a bib missing from the results');
+        }
+    });
+
+    results.forEach(runner => {
+        const runnerLaps = lapsByFile.get(runner.Bib) || [];
+
+        if (Number(runner.Laps) !== runnerLaps.length) {
+            addIssue(runner.Bib, null, `Results list ${runner.Laps} laps but ${runnerLaps.length} lap rows were loaded`);
+        }
+
+        let previousIndex = 0;
+        let previousStart = null;
+
+        runnerLaps.forEach(lap => {
+            if (lap.Index !== previousIndex + 1) {
+                addIssue(runner.Bib, lap.Index, `Lap index jumps from ${previousIndex} to ${lap.Index}`);
+            }
+            previousIndex = lap.Index;
+
+            const split = parseTimeToMinutes(lap['Lap Split']);
+            const rest = parseTimeToMinutes(lap['Rest Time']);
+            const raceTime = parseTimeToMinutes(lap['Race Time']);
+
+            if (split === null || raceTime === null) {
+                addIssue(runner.Bib, lap.Index, `Lap ${lap.Index}: missing split or race time`);
+                previousStart = null;
+                return;
+            }
+
+            if (rest !== null && Math.abs(split + rest - 60) > tolerance) {
+                addIssue(runner.Bib, lap.Index, `Lap ${lap.Index}: split + rest is ${formatMinutes(split + rest)}, expected 60:00`);
+            }
+
+            // Each lap should start exactly one hour after the previous one
+            const start = raceTime - split;
+            if (previousStart !== null && Math.abs(start - previousStart - 60) > tolerance) {
+                addIssue(runner.Bib, lap.Index, `Lap ${lap.Index}: started ${formatMinutes(start - previousStart)} after the previous lap, expected 60:00`);
+            }
+            previousStart = start;
+        });
+    });
+
+    return issues;
+}
+
+// Render the summary of integrity issues above the results table
+function renderDataWarnings() {
+    const panel = document.getElementById('dataWarnings');
+    const issueCount = Array.from(dataIssues.values()).reduce((sum, list) => sum + list.length, 0);
+
+    if (issueCount === 0) {
+        panel.classList.add('d-none');
+        panel.innerHTML = '';
+        return;
+    }
+
+    const items = Array.from(dataIssues.entries()).map(([bib, list]) => {
+        const runner = resultsData.find(r => r.Bib === bib);
+        const name = escapeHtml(runner ? `${runner.Name} (#${bib})` : `#${bib}`);
+        return list.map(issue => `<li>${name}: ${escapeHtml(issue.message)}</li>`).join('');
+    }).join('');
+
+    panel.classList.remove('d-none');
+    panel.innerHTML = `
+        <details>
+            <summary>⚠ ${issueCount} data issue${issueCount === 1 ? '' : 's'} in ${dataIssues.size} runner${dataIssues.size === 1 ? '' : 's'}</summary>
+            <ul class="mb-0 mt-1">${items}</ul>
+        </details>
+    `;
+}
+
+// Render the list of suspect laps with the toggle that leaves them out of the statistics
+function renderAnomalyPanel() {
+    const panel = document.getElementById('anomalyPanel');
+    const count = Array.from(lapAnomalies.values()).reduce((sum, laps) => sum + laps.size, 0);
+
+    if (count === 0) {
+        panel.classList.add('d-none');
+        panel.innerHTML = '';
+        return;
+    }
+
+    const wasOpen = panel.querySelector('details')?.open;
+    const items = Array.from(lapAnomalies.entries()).map(([bib, laps]) => {
+        const runner = resultsData.find(r => r.Bib === bib);
+        const name = escapeHtml(runner ? `${runner.Name} (#${bib})` : `#${bib}`);
+        return Array.from(laps.entries()).map(([lap, reasons]) =>
+            `<li><button type="button" class="btn btn-link btn-sm p-0 align-baseline" data-bib="${bib}">${name}</button> lap ${lap}: ${escapeHtml(reasons.join('; '))}</li>`).join('');
+    }).join('');
+
+    panel.classList.remove('d-none');
+    panel.innerHTML = `
+        <div class="form-check form-switch float-end ms-2 mb-0">
+            <input class="form-check-input" type="checkbox" id="excludeAnomalies"${excludeAnomalies ? ' checked' : ''}>
+            <label class="form-check-label" for="excludeAnomalies">Exclude from stats</label>
+        </div>
+        <details${wasOpen ? ' open' : ''}>
+            <summary><span class="anomaly-marker">✕</span> ${count} suspect lap${count === 1 ? '' : 's'} in ${lapAnomalies.size} runner${lapAnomalies.size === 1 ? '' : 's'}</summary>
+            <ul class="mb-0 mt-1">${items}</ul>
+        </details>
+    `;
+}
+
+// Anomaly panel: the exclude toggle, and runner links that plot the runner
+function setupAnomalyPanel() {
+    const panel = document.getElementById('anomalyPanel');
+
+    panel.addEventListener('change', (e) => {
+        if (e.target.id !== 'excludeAnomalies') return;
+        excludeAnomalies = e.target.checked;
+        updateChart();
+        updatePermalink();
+    });
+
+    panel.addEventListener('click', (e) => {
+        const link = e.target.closest('[data-bib]');
+        if (!link) return;
+        const bib = parseInt(link.dataset.bib);
+        if (!selectedRunners.has(bib)) toggleRunner(bib);
+    });
+}
+
+// Render table
+function renderTable() {
+    renderTableHeader();
+
+    const tbody = document.getElementById('tableBody');
+    const hadFocus = tbody.contains(document.activeElement);
+    tbody.innerHTML = '';
+
+    const { standings, rows: sortedData } = getTableRows();
+    const columns = getTableColumns();
+
+    // Render rows
+    sortedData.forEach(item => {
+        tbody.appendChild(tableMode === 'teams' ? createTeamRow(item, columns) : createRunnerRow(item, columns));
+    });
+
+    // Keep the keyboard focus stop on the same row, else the first one
+    const activeRow = Array.from(tbody.rows).find(row => row.dataset.key === String(activeRowKey)) || tbody.rows[0];
+    if (activeRow) focusRow(activeRow, hadFocus);
+
+    const summary = document.getElementById('filterSummary');
+    if (tableMode === 'teams') {
+        const countries = new Set(standings.map(runner => runner.State || '')).size;
+        summary.textContent = sortedData.length < countries ? `Showing ${sortedData.length} of ${countries} countries` : '';
+    } else {
+        summary.textContent = sortedData.length < standings.length
+            ? `Showing ${sortedData.length} of ${standings.length} runners`
+            : '';
+    }
+
+    renderTeamStandings(tableMode === 'teams' ? sortedData : []);
+}
+
+// Table row of one runner
+function createRunnerRow(runner, columns) {
+    const row = document.createElement('tr');
+    row.dataset.bib = runner.Bib;
+    row.dataset.key = runner.Bib;
+    row.classList.add('runner-row');
+    row.tabIndex = -1;
+    row.setAttribute('aria-selected', selectedRunners.has(runner.Bib));
+
+    if (selectedRunners.has(runner.Bib)) {
+        row.classList.add('table-active');
+    }
+
+    if (runner.replayOut) {
+        row.classList.add('replay-out');
+    }
+
+    const drop = liveDropped.get(runner.Bib);
+    const dropBadge = drop && Date.now() - drop.at < liveDropMarkMs
+        ? ` <span class="badge bg-danger" title="Dropped after lap ${drop.lap}, seen ${new Date(drop.at).toLocaleTimeString()}">out</span>`
+        : '';
+    if (dropBadge) {
+        row.classList.add('just-dropped');
+    }
+
+    const runnerIssues = dataIssues.get(runner.Bib);
+    const issuesIcon = runnerIssues
+        ? ` <span class="data-warning-icon" title="${escapeHtml(runnerIssues.map(i => i.message).join('\n'))}">⚠</span>`
+        : '';
+
+    row.innerHTML = columns.map(column => {
+        const value = runner[column.key];
+        const text = value === null || value === undefined ? '' : (column.format ? column.format(value) : value);
+        return `<td>${escapeHtml(text)}${column.key === 'Name' ? issuesIcon + dropBadge : ''}</td>`;
+    }).join('');
+
+    return row;
+}
+
+// Table row of a country; it counts as selected when all of its runners are
+function createTeamRow(team, columns) {
+    const selected = team.bibs.filter(bib => selectedRunners.has(bib)).length;
+    const row = document.createElement('tr');
+    row.dataset.key = team.Country;
+    row.dataset.bibs = team.bibs.join(',');
+    row.classList.add('runner-row', 'team-row');
+    row.tabIndex = -1;
+    row.setAttribute('aria-selected', selected === team.bibs.length);
+    row.title = `Select all ${team.Runners} runner${team.Runners === 1 ? '' : 's'} of ${team.Country}`;
+
+    if (selected === team.bibs.length) {
+        row.classList.add('table-active');
+    } else if (selected > 0) {
+        row.classList.add('team-partial');
+    }
+
+    if (team.StillIn === 0 && replayHour !== null) {
+        row.classList.add('replay-out');
+    }
+
+    row.innerHTML = columns.map(column => {
+        const value = team[column.key];
+        const text = value === null || value === undefined ? '' : (column.format ? column.format(value) : value);
+        return `<td>${escapeHtml(text)}</td>`;
+    }).join('');
+
+    return row;
+}
+
+// Rows of the results table as displayed: replay standings, filtered and sorted
+function getTableRows() {
+    // During replay the table shows the standings at the replay hour
+    const standings = replayHour === null ? resultsData : getReplayStandings(replayHour);
+
+    // Team standings group the filtered runners by country
+    if (tableMode === 'teams') {
+        const teams = summariseTeams(standings.filter(matchesTableFilters)).map(team => ({
+            Rank: team.rank,
+            Country: team.country || 'Unknown',
+            Runners: team.runners,
+            TotalLaps: team.totalLaps,
+            BestLaps: team.bestLaps,
+            AvgLaps: team.avgLaps,
+            StillIn: team.stillIn,
+            bibs: team.bibs,
+            stillInByLap: team.stillInByLap
+        }));
+        return { standings, rows: sortKeys.length > 0 ? [...teams].sort(compareTableRows) : teams };
+    }
+
+    const tableData = standings
+        .map(runner => ({
+            ...runner,
+            ...getRestStats(runner.Bib, replayHour),
+            ...(tableMode === 'pacing' ? getPacingStats(runner.Bib, replayHour) : {})
+        }))
+        .filter(matchesTableFilters);
+
+    // Sort data only if a sort column is selected
+    const rows = sortKeys.length > 0 ? [...tableData].sort(compareTableRows) : tableData;
+    return { standings, rows };
+}
+
+// Columns shown in the current table mode
+function getTableColumns() {
+    if (tableMode === 'pacing') return pacingColumns;
+    if (tableMode === 'teams') return teamColumns;
+    return tableColumns.filter(c => visibleColumns.has(c.key));
+}
+
+// Render the sortable header cells of the visible columns, with sort indicators
+function renderTableHeader() {
+    const headerRow = document.getElementById('tableHeader');
+
+    headerRow.innerHTML = getTableColumns().map(column => {
+        const sortIndex = sortKeys.findIndex(key => key.column === column.key);
+        const sortClass = sortIndex === -1 ? '' : ` sort-${sortKeys[sortIndex].direction}`;
+        const priority = sortIndex !== -1 && sortKeys.length > 1 ? `<sup>${sortIndex + 1}</sup>` : '';
+        const title = column.title ? ` title="${column.title}"` : '';
+        // ARIA allows one sorted header at a time, so only the primary key is announced
+        const ariaSort = sortIndex === 0 ? ` aria-sort="${sortKeys[0].direction === 'asc' ? 'ascending' : 'descending'}"` : '';
+        return `<th class="sortable${sortClass}" data-column="${column.key}" tabindex="0"${ariaSort}${title}>${column.label}${priority}</th>`;
+    }).join('');
+}
+
+// Switch the table between the results, pacing leaderboard and team standings
+function setTableMode(mode) {
+    tableMode = ['pacing', 'teams'].includes(mode) ? mode : 'results';
+    document.querySelector(`input[name="tableMode"][value="${tableMode}"]`).checked = true;
+    document.getElementById('columnChooserToggle').disabled = tableMode !== 'results';
+
+    // Drop sort keys on columns the new mode does not show
+    const columns = getTableColumns();
+    sortKeys = sortKeys.filter(key => columns.some(c => c.key === key.column));
+}
+
+// Compare two table rows by every sort key in turn
+function compareTableRows(a, b) {
+    for (const key of sortKeys) {
+        const column = getTableColumns().find(c => c.key === key.column);
+        const result = compareTableValues(a[key.column], b[key.column], column && column.time);
+        if (result !== 0) {
+            return key.direction === 'asc' ? result : -result;
+        }
+    }
+    return 0;
+}
+
+// Compare cell values: numbers (and times) numerically before text such as "RTC" or "DNF"
+function compareTableValues(aVal, bVal, isTime) {
+    const toNumber = value => {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'number') return value;
+        if (isTime) return parseTimeToMinutes(String(value));
+        return isNaN(value) ? null : Number(value);
+    };
+
+    const aNum = toNumber(aVal);
+    const bNum = toNumber(bVal);
+
+    if (aNum !== null && bNum !== null) return aNum - bNum;
+    if (aNum !== null) return -1;
+    if (bNum !== null) return 1;
+
+    return String(aVal === null || aVal === undefined ? '' : aVal)
+        .localeCompare(String(bVal === null || bVal === undefined ? '' : bVal));
+}
+
+// Check a table row against the search box and filters
+function matchesTableFilters(runner) {
+    const search = tableFilters.search.trim().toLowerCase();
+    if (search && !String(runner.Name).toLowerCase().includes(search) && String(runner.Bib) !== search) {
+        return false;
+    }
+    if (tableFilters.gender && runner.Gender !== tableFilters.gender) return false;
+    if (tableFilters.country && runner.State !== tableFilters.country) return false;
+
+    if (tableFilters.ageGroup) {
+        const group = ageGroups.find(g => g.key === tableFilters.ageGroup);
+        const age = Number(runner.Age);
+        if (group && (runner.Age === '' || !(age >= group.min && age <= group.max))) return false;
+    }
+
+    const laps = Number(runner.Laps);
+    if (tableFilters.minLaps !== null && laps < tableFilters.minLaps) return false;
+    if (tableFilters.maxLaps !== null && laps > tableFilters.maxLaps) return false;
+
+    return true;
+}
+
+// Fill the gender and country filters with the values present in the current edition,
+// dropping a chosen value the edition doesn't have (it would hide every row)
+function renderFilterOptions() {
+    const fillSelect = (id, allLabel, values, selected) => {
+        const select = document.getElementById(id);
+        select.innerHTML = `<option value="">${allLabel}</option>` + values
+            .map(value => `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(value)}</option>`)
+            .join('');
+    };
+    const distinct = field => [...new Set(resultsData.map(r => r[field]).filter(v => v !== null && v !== undefined && v !== ''))].sort();
+
+    const genders = distinct('Gender');
+    const countries = distinct('State');
+    if (!genders.includes(tableFilters.gender)) tableFilters.gender = '';
+    if (!countries.includes(tableFilters.country)) tableFilters.country = '';
+
+    fillSelect('genderFilter', 'All genders', genders, tableFilters.gender);
+    fillSelect('countryFilter', 'All countries', countries, tableFilters.country);
+
+    document.getElementById('ageFilter').innerHTML = '<option value="">All ages</option>' + ageGroups
+        .map(group => `<option value="${group.key}"${group.key === tableFilters.ageGroup ? ' selected' : ''}>${group.label}</option>`)
+        .join('');
+    syncFilterControls();
+}
+
+// Set the filter inputs from tableFilters (e.g. after restoring a permalink)
+function syncFilterControls() {
+    document.getElementById('runnerSearch').value = tableFilters.search;
+    document.getElementById('genderFilter').value = tableFilters.gender;
+    document.getElementById('countryFilter').value = tableFilters.country;
+    document.getElementById('ageFilter').value = tableFilters.ageGroup;
+    document.getElementById('lapsMin').value = tableFilters.minLaps === null ? '' : tableFilters.minLaps;
+    document.getElementById('lapsMax').value = tableFilters.maxLaps === null ? '' : tableFilters.maxLaps;
+}
+
+// Setup the search box, filters and column chooser
+function setupTableFilters() {
+    const lapsValue = id => {
+        const value = parseInt(document.getElementById(id).value);
+        return Number.isInteger(value) ? value : null;
+    };
+    const readFilters = () => {
+        tableFilters = {
+            search: document.getElementById('runnerSearch').value,
+            gender: document.getElementById('genderFilter').value,
+            country: document.getElementById('countryFilter').value,
+            ageGroup: document.getElementById('ageFilter').value,
+            minLaps: lapsValue('lapsMin'),
+            maxLaps: lapsValue('lapsMax')
+        };
+        renderTable();
+    };
+
+    ['runnerSearch', 'lapsMin', 'lapsMax'].forEach(id => {
+        document.getElementById(id).addEventListener('input', readFilters);
+    });
+    ['runnerSearch', 'genderFilter', 'countryFilter', 'ageFilter', 'lapsMin', 'lapsMax'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            readFilters();
+            updatePermalink();
+        });
+    });
+
+    document.querySelectorAll('input[name="tableMode"]').forEach(input => {
+        input.addEventListener('change', () => {
+            setTableMode(input.value);
+            renderTable();
+            updatePermalink();
+        });
+    });
+
+    const chooser = document.getElementById('columnChooser');
+    chooser.innerHTML = tableColumns.map(column => `
+        <div class="form-check">
+            <input class="form-check-input" type="checkbox" id="column-${column.key.replace(/\s/g, '')}" value="${column.key}"${visibleColumns.has(column.key) ? ' checked' : ''}>
+            <label class="form-check-label" for="column-${column.key.replace(/\s/g, '')}">${column.label}</label>
+        </div>
+    `).join('');
+
+    chooser.addEventListener('change', (e) => {
+        const column = e.target.value;
+        if (e.target.checked) {
+            visibleColumns.add(column);
+        } else {
+            visibleColumns.delete(column);
+            sortKeys = sortKeys.filter(key => key.column !== column);
+        }
+        renderTable();
+        updatePermalink();
+    });
+}
+
+// Tick the column chooser boxes of the visible columns
+function syncColumnChooser() {
+    document.querySelectorAll('#columnChooser input').forEach(input => {
+        input.checked = visibleColumns.has(input.value);
+    });
+}
+
+// Minimum and average rest of a runner, optionally only up to a given hour
+function getRestStats(bib, uptoHour = null) {
+    const rests = lapsData
+        .filter(lap => lap.File === bib && (uptoHour === null || lap.Index <= uptoHour))
+        .map(lap => parseTimeToMinutes(lap['Rest Time']))
+        .filter(rest => rest !== null);
+
+    if (rests.length === 0) return { MinRest: null, AvgRest: null };
+
+    return {
+        MinRest: Math.min(...rests),
+        AvgRest: calculateStats(rests).mean
+    };
+}
+
+// Pacing metrics of a runner's splits, optionally only up to a given hour
+function getPacingStats(bib, uptoHour = null) {
+    const lapTimes = lapsData
+        .filter(lap => lap.File === bib && (uptoHour === null || lap.Index <= uptoHour))
+        .map(lap => parseTimeToMinutes(lap['Lap Split']));
+    const validTimes = lapTimes.filter(t => t !== null);
+
+    const slowLaps = validTimes.filter(t => t > 55).length;
+
+    if (validTimes.length < 2) {
+        return { PaceCV: null, FatigueSlope: null, SteadyStreak: validTimes.length || null, SlowLaps: validTimes.length ? slowLaps : null };
+    }
+
+    const stats = calculateStats(lapTimes);
+    const trendline = calculateTrendline(lapTimes);
+
+    // Consecutive laps each within a minute of the previous one
+    let longestStreak = 1;
+    let streak = 1;
+    for (let i = 1; i < lapTimes.length; i++) {
+        const steady = lapTimes[i] !== null && lapTimes[i - 1] !== null && Math.abs(lapTimes[i] - lapTimes[i - 1]) <= 1;
+        streak = steady ? streak + 1 : 1;
+        longestStreak = Math.max(longestStreak, streak);
+    }
+
+    return {
+        PaceCV: stats.stdDev / stats.mean * 100,
+        FatigueSlope: trendline.slope,
+        SteadyStreak: longestStreak,
+        SlowLaps: slowLaps
+    };
+}
+
+// Escape text from results, live feeds or dropped files before it goes into markup
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Colour of the index-th selected runner: the palette, then golden-angle hues for as many as needed
+function getRunnerColor(index) {
+    if (index < colorPalette.length) return colorPalette[index];
+
+    const hue = (index * 137.508) % 360;
+    const lightness = index % 2 === 0 ? 45 : 60;
+    return hslToHex(hue, 65, lightness);
+}
+
+// Convert HSL (degrees, percent, percent) to #RRGGBB, so alpha suffixes can be appended
+function hslToHex(hue, saturation, lightness) {
+    const s = saturation / 100;
+    const l = lightness / 100;
+    const channel = n => {
+        const k = (n + hue / 30) % 12;
+        const value = l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        return Math.round(value * 255).toString(16).padStart(2, '0');
+    };
+    return `#${channel(0)}${channel(8)}${channel(4)}`.toUpperCase();
+}
+
+// Whether an overlay type is switched on and not excluded for this runner
+function overlayApplies(bib, type) {
+    const enabled = type === 'regression' ? overlaySettings.regression !== 'none' : overlaySettings[type];
+    const excluded = runnerOverlayExclusions.get(bib);
+    return Boolean(enabled) && !(excluded && excluded.has(type));
+}
+
+// Setup the overlay settings menu, restoring the saved settings
+function setupOverlaySettings() {
+    try {
+        overlaySettings = { ...defaultOverlaySettings, ...JSON.parse(localStorage.getItem(overlaySettingsKey)) };
+    } catch (error) {
+        overlaySettings = { ...defaultOverlaySettings };
+    }
+    syncOverlayControls();
+
+    const clampInt = (value, min, max, fallback) => {
+        const number = parseInt(value);
+        return Number.isInteger(number) ? Math.max(min, Math.min(max, number)) : fallback;
+    };
+
+    document.getElementById('overlaySettings').addEventListener('change', (e) => {
+        if (e.target.closest('#runnerOverlayMatrix')) {
+            const bib = parseInt(e.target.dataset.bib);
+            const excluded = runnerOverlayExclusions.get(bib) || new Set();
+            if (e.target.checked) {
+                excluded.delete(e.target.value);
+            } else {
+                excluded.add(e.target.value);
+            }
+            runnerOverlayExclusions.set(bib, excluded);
+            updateChart();
+            return;
+        }
+
+        overlaySettings = {
+            trend: document.getElementById('overlayTrend').checked,
+            ema: document.getElementById('overlayEma').checked,
+            emaWindow: clampInt(document.getElementById('overlayEmaWindow').value, 2, 30, defaultOverlaySettings.emaWindow),
+            median: document.getElementById('overlayMedian').checked,
+            medianWindow: clampInt(document.getElementById('overlayMedianWindow').value, 2, 30, defaultOverlaySettings.medianWindow),
+            regression: document.getElementById('overlayRegression').value,
+            loessSpan: Math.max(0.05, Math.min(1, parseFloat(document.getElementById('overlayLoessSpan').value) || defaultOverlaySettings.loessSpan)),
+            std: document.getElementById('overlayStd').checked
+        };
+        localStorage.setItem(overlaySettingsKey, JSON.stringify(overlaySettings));
+        syncOverlayControls();
+        updateChart();
+    });
+}
+
+// Set the overlay settings inputs from overlaySettings
+function syncOverlayControls() {
+    document.getElementById('overlayTrend').checked = overlaySettings.trend;
+    document.getElementById('overlayEma').checked = overlaySettings.ema;
+    document.getElementById('overlayEmaWindow').value = overlaySettings.emaWindow;
+    document.getElementById('overlayMedian').checked = overlaySettings.median;
+    document.getElementById('overlayMedianWindow').value = overlaySettings.medianWindow;
+    document.getElementById('overlayRegression').value = overlaySettings.regression;
+    document.getElementById('overlayLoessSpan').value = overlaySettings.loessSpan;
+    document.getElementById('overlayLoessSpan').disabled = overlaySettings.regression !== 'loess';
+    document.getElementById('overlayStd').checked = overlaySettings.std;
+}
+
+// Render the per-runner overlay checkboxes for the selected runners
+function renderRunnerOverlayMatrix() {
+    const container = document.getElementById('runnerOverlayMatrix');
+    const types = overlayTypes.filter(type => type.key === 'regression' ? overlaySettings.regression !== 'none' : overlaySettings[type.key]);
+    const runners = Array.from(selectedRunners).map(bib => resultsData.find(r => r.Bib === bib)).filter(Boolean);
+
+    if (runners.length === 0 || types.length === 0) {
+        container.innerHTML = '<div class="text-muted">Select runners to pick overlays per runner.</div>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="table table-sm mb-0">
+            <thead><tr><th>Runner</th>${types.map(type => `<th>${type.label}</th>`).join('')}</tr></thead>
+            <tbody>
+                ${runners.map((runner, index) => `
+                    <tr>
+                        <th><span class="color-swatch" style="background-color: ${getRunnerColor(index)}"></span>${escapeHtml(runner.Name)}</th>
+                        ${types.map(type => `<td><input class="form-check-input" type="checkbox" data-bib="${runner.Bib}" value="${type.key}" aria-label="${type.label} for ${escapeHtml(runner.Name)}"${overlayApplies(runner.Bib, type.key) ? ' checked' : ''}></td>`).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Whether the chart shows selected runners by lap, the view the lap range applies to
+function isLapRangeView() {
+    return chartMetric !== 'survival' && !comparison;
+}
+
+// Restrict the chart and its overlays to laps from..to (null for the whole race)
+function setLapRange(from, to) {
+    const lastLap = chart ? chart.data.labels.length : 0;
+    lapRange = from === null || (from <= 1 && to >= lastLap) ? null : { from, to };
+    updateChart();
+    updatePermalink();
+}
+
+// Adopt the scale bounds left by a wheel, drag or pinch zoom or a pan
+function handleChartZoom() {
+    if (!isLapRangeView()) return;
+
+    const metric = chartMetrics[chartMetric];
+    const { x, y } = chart.scales;
+    yView = y.min !== metric.min || y.max !== metric.max ? { min: y.min, max: y.max } : null;
+    setLapRange(Math.round(x.min) + 1, Math.round(x.max) + 1);
+}
+
+// Setup the lap range sliders, section shortcuts and zoom reset
+function setupLapBrush() {
+    const fromInput = document.getElementById('lapRangeFrom');
+    const toInput = document.getElementById('lapRangeTo');
+
+    const readRange = (moved) => {
+        let from = parseInt(fromInput.value);
+        let to = parseInt(toInput.value);
+        // Thumbs cannot cross: the one being moved stops at the other
+        if (from > to) {
+            if (moved === fromInput) from = to;
+            else to = from;
+        }
+        setLapRange(from, to);
+    };
+    [fromInput, toInput].forEach(input => {
+        input.addEventListener('input', () => readRange(input));
+    });
+
+    document.getElementById('lapBrushSections').addEventListener('click', (e) => {
+        const segment = e.target.closest('[data-from]');
+        if (segment) {
+            setLapRange(parseInt(segment.dataset.from), parseInt(segment.dataset.to));
+        }
+    });
+
+    document.getElementById('lapRangeReset').addEventListener('click', () => {
+        yView = null;
+        setLapRange(null, null);
+    });
+}
+
+// Render the lap range brush for a chart of maxLaps laps (hidden when 0)
+function renderLapBrush(maxLaps) {
+    const brush = document.getElementById('lapBrush');
+    brush.classList.toggle('d-none', maxLaps < 2);
+    if (maxLaps < 2) return;
+
+    const from = lapRange ? Math.min(lapRange.from, maxLaps) : 1;
+    const to = lapRange ? Math.min(lapRange.to, maxLaps) : maxLaps;
+
+    document.getElementById('lapBrushSections').innerHTML = getSections(maxLaps).map(section => {
+        const endLap = Math.min(section.endLap, maxLaps);
+        const active = lapRange && section.startLap >= from && endLap <= to ? ' active' : '';
+        return `<button type="button" class="lap-brush-section${active}" data-from="${section.startLap}" data-to="${endLap}" style="flex: ${endLap - section.startLap + 1}; background-color: ${surfaceColors[section.surface] || 'rgba(128, 128, 128, 0.08)'}" title="${section.label}: laps ${section.startLap}–${endLap}">${section.label}</button>`;
+    }).join('');
+
+    ['lapRangeFrom', 'lapRangeTo'].forEach(id => {
+        const input = document.getElementById(id);
+        input.max = maxLaps;
+    });
+    document.getElementById('lapRangeFrom').value = from;
+    document.getElementById('lapRangeTo').value = to;
+
+    document.getElementById('lapRangeLabel').textContent = lapRange
+        ? `Laps ${from}–${to}: trend, EMA, std dev and min/max use these laps only`
+        : `All ${maxLaps} laps · scroll to zoom, drag to pan, shift-drag to zoom to a range`;
+    document.getElementById('lapRangeReset').classList.toggle('invisible', !lapRange && !yView);
+}
+
+// Setup the chart metric switch and rest danger threshold
+function setupChartControls() {
+    document.querySelectorAll('input[name="chartMetric"]').forEach(input => {
+        input.addEventListener('change', () => {
+            setChartMetric(input.value);
+            yView = null; // Zoomed values of one metric mean nothing for another
+            updateChart();
+            updatePermalink();
+        });
+    });
+
+    document.getElementById('fieldBandsToggle').addEventListener('change', (e) => {
+        showFieldBands = e.target.checked;
+        updateChart();
+        updatePermalink();
+    });
+
+    document.getElementById('forecastToggle').addEventListener('change', (e) => {
+        showForecast = e.target.checked;
+        updateChart();
+        updatePermalink();
+    });
+
+    document.getElementById('conditionsField').addEventListener('change', (e) => {
+        conditionsField = e.target.value || null;
+        updateChart();
+        updatePermalink();
+    });
+
+    document.getElementById('survivalGroup').addEventListener('change', (e) => {
+        survivalGroup = e.target.value;
+        updateChart();
+        updatePermalink();
+    });
+
+    // The data table behind the chart is only built while someone is reading it
+    document.getElementById('chartAlternative').addEventListener('toggle', (e) => {
+        if (e.target.open && chart) renderChartDataTable();
+    });
+
+    document.getElementById('restThreshold').addEventListener('change', (e) => {
+        const value = e.target.value.includes(':') ? parseTimeToMinutes(e.target.value) : parseFloat(e.target.value);
+        if (value !== null && value >= 0 && value < 60) {
+            restDangerThreshold = value;
+            updateChart();
+            updatePermalink();
+        }
+        e.target.value = formatMinutes(restDangerThreshold);
+    });
+}
+
+// Switch the plotted metric and sync its controls
+function setChartMetric(metric) {
+    chartMetric = metric;
+    document.querySelectorAll('input[name="chartMetric"]').forEach(input => {
+        input.checked = input.value === metric;
+    });
+    document.getElementById('restThresholdControl').classList.toggle('d-none', metric !== 'rest');
+    document.getElementById('survivalGroupControl').classList.toggle('d-none', metric !== 'survival');
+    document.getElementById('forecastControl').classList.toggle('d-none', metric !== 'split');
+    document.getElementById('fieldBandsControl').classList.toggle('d-none', metric === 'survival');
+    syncConditionsControl();
+
+    // The survival view overlays every edition
+    if (metric === 'survival' && editions.some(e => !editionData[e.edition])) {
+        loadAllEditions().then(() => updateChart());
+    }
+}
+
+// Standings at the end of a given hour: laps and cumulative running time so far
+function getReplayStandings(hour) {
+    const lapMiles = editionConfig && editionConfig.lapDistance ? editionConfig.lapDistance.miles : null;
+    const lapKm = editionConfig && editionConfig.lapDistance ? editionConfig.lapDistance.km : null;
+
+    const standings = resultsData.map(runner => {
+        const lapsSoFar = lapsData.filter(lap => lap.File === runner.Bib && lap.Index <= hour);
+        const runningTime = lapsSoFar.reduce((sum, lap) => sum + (parseTimeToMinutes(lap['Lap Split']) || 0), 0);
+        const replayOut = lapsSoFar.length < hour;
+
+        return {
+            ...runner,
+            Place: replayOut ? 'Out' : '–',
+            Laps: lapsSoFar.length,
+            Miles: lapMiles ? Number((lapsSoFar.length * lapMiles).toFixed(2)) : '',
+            KM: lapKm ? Number((lapsSoFar.length * lapKm).toFixed(3)) : '',
+            RaceTime: formatDuration(runningTime),
+            replayOut
+        };
+    });
+
+    // Runners still in the race first, then drop-outs by how far they got
+    return standings.sort((a, b) => (a.replayOut - b.replayOut) || (a.replayOut ? b.Laps - a.Laps : 0));
+}
+
+// Setup the replay play button and hour scrubber
+function setupReplay() {
+    const slider = document.getElementById('replaySlider');
+
+    document.getElementById('replayToggle').addEventListener('click', () => {
+        if (replayTimer) {
+            pauseReplay();
+        } else {
+            playReplay();
+        }
+    });
+
+    document.getElementById('replayExit').addEventListener('click', () => {
+        resetReplay();
+        renderTable();
+        updateChart();
+    });
+
+    slider.addEventListener('input', () => {
+        pauseReplay();
+        setReplayHour(parseInt(slider.value));
+    });
+
+    resetReplay();
+}
+
+// Show the race as it stood at the end of the given hour
+function setReplayHour(hour) {
+    replayHour = hour;
+    document.getElementById('replaySlider').value = hour;
+    updateReplayLabel();
+    renderTable();
+    updateChart();
+}
+
+// Step through the race hour by hour from the current position
+function playReplay() {
+    const slider = document.getElementById('replaySlider');
+    const lastHour = parseInt(slider.max);
+
+    // Restart from the first hour when starting from the final standings or the end
+    if (replayHour === null || replayHour >= lastHour) {
+        setReplayHour(1);
+    }
+
+    document.getElementById('replayToggle').textContent = '⏸ Pause';
+    replayTimer = setInterval(() => {
+        if (replayHour >= lastHour) {
+            pauseReplay();
+            return;
+        }
+        setReplayHour(replayHour + 1);
+    }, replayStepMs);
+}
+
+// Stop stepping but keep the current hour
+function pauseReplay() {
+    if (replayTimer) {
+        clearInterval(replayTimer);
+        replayTimer = null;
+    }
+    document.getElementById('replayToggle').textContent = '▶ Replay';
+}
+
+// Leave the replay and size the scrubber to the current edition
+function resetReplay() {
+    pauseReplay();
+    replayHour = null;
+
+    const slider = document.getElementById('replaySlider');
+    const lastHour = lapsData.reduce((max, lap) => Math.max(max, lap.Index), 1);
+    slider.max = lastHour;
+    slider.value = lastHour;
+    updateReplayLabel();
+}
+
+// Describe the replay position next to the scrubber
+function updateReplayLabel() {
+    const label = document.getElementById('replayLabel');
+
+    if (replayHour === null) {
+        label.textContent = 'Final standings';
+        return;
+    }
+
+    const stillIn = new Set(lapsData.filter(lap => lap.Index === replayHour).map(lap => lap.File)).size;
+    label.textContent = `Hour ${replayHour}: ${stillIn} still running`;
+}
+
+// Setup event listeners
+function setupEventListeners() {
+    const tableHeader = document.getElementById('tableHeader');
+    const tableBody = document.getElementById('tableBody');
+
+    // Table sorting (shift-click adds or flips a secondary sort key)
+    tableHeader.addEventListener('click', (e) => {
+        const header = e.target.closest('.sortable');
+        if (header) sortByColumn(header.dataset.column, e.shiftKey);
+    });
+
+    // Enter or Space on a focused header sorts like a click, keeping the focus on it
+    tableHeader.addEventListener('keydown', (e) => {
+        const header = e.target.closest('.sortable');
+        if (!header || (e.key !== 'Enter' && e.key !== ' ')) return;
+        e.preventDefault();
+        sortByColumn(header.dataset.column, e.shiftKey);
+        const sorted = tableHeader.querySelector(`[data-column="${header.dataset.column}"]`);
+        if (sorted) sorted.focus();
+    });
+
+    // Row selection
+    tableBody.addEventListener('click', (e) => {
+        const row = e.target.closest('tr');
+        if (row) {
+            focusRow(row, false);
+            toggleTableRow(row);
+        }
+    });
+
+    // Arrow keys move between rows, Space or Enter selects
+    tableBody.addEventListener('keydown', (e) => {
+        const row = e.target.closest('tr');
+        if (!row) return;
+
+        const rows = Array.from(tableBody.querySelectorAll('tr.runner-row'));
+        const index = rows.indexOf(row);
+        const targets = {
+            ArrowDown: rows[index + 1],
+            ArrowUp: rows[index - 1],
+            PageDown: rows[Math.min(index + 10, rows.length - 1)],
+            PageUp: rows[Math.max(index - 10, 0)],
+            Home: rows[0],
+            End: rows[rows.length - 1]
+        };
+
+        if (e.key in targets) {
+            e.preventDefault();
+            if (targets[e.key]) focusRow(targets[e.key], true);
+        } else if (e.key === ' ' || e.key === 'Enter') {
+            e.preventDefault();
+            toggleTableRow(row);
+        }
+    });
+}
+
+// Sort the table by a column; adding a key (shift) keeps the existing ones
+function sortByColumn(column, addKey) {
+    const existing = sortKeys.find(key => key.column === column);
+
+    if (addKey) {
+        if (existing) {
+            existing.direction = existing.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            sortKeys.push({ column, direction: 'asc' });
+        }
+    } else if (existing && sortKeys.length === 1) {
+        existing.direction = existing.direction === 'asc' ? 'desc' : 'asc';
+    } else {
+        sortKeys = [{ column, direction: 'asc' }];
+    }
+
+    renderTable();
+    updatePermalink();
+}
+
+// Toggle the selection behind a table row: its runner, or every runner of its country
+function toggleTableRow(row) {
+    if (row.dataset.bibs !== undefined) {
+        toggleRunners(row.dataset.bibs.split(',').filter(Boolean).map(Number));
+    } else {
+        toggleRunner(parseInt(row.dataset.bib));
+    }
+}
+
+// Select a group of runners at once, or deselect them if all of them are selected
+function toggleRunners(bibs) {
+    const allSelected = bibs.every(bib => selectedRunners.has(bib));
+    bibs.forEach(bib => allSelected ? selectedRunners.delete(bib) : selectedRunners.add(bib));
+
+    renderTable();
+    updateChart();
+    updateSelectedRunnersBadges();
+    updatePermalink();
+}
+
+// Select or deselect a runner (from the table or the runner picker)
+function toggleRunner(bib) {
+    if (selectedRunners.has(bib)) {
+        selectedRunners.delete(bib);
+    } else {
+        selectedRunners.add(bib);
+    }
+    syncRunnerRow(bib);
+    updateChart();
+    updateSelectedRunnersBadges();
+    updatePermalink();
+}
+
+// Mirror a runner's selection on its table row (team rows are re-rendered instead)
+function syncRunnerRow(bib) {
+    if (tableMode === 'teams') {
+        renderTable();
+        return;
+    }
+
+    const row = document.querySelector(`#tableBody tr[data-bib="${bib}"]`);
+    if (!row) return;
+    row.classList.toggle('table-active', selectedRunners.has(bib));
+    row.setAttribute('aria-selected', selectedRunners.has(bib));
+}
+
+// Make a row the table's single tab stop (roving tabindex), optionally focusing it
+function focusRow(row, focus) {
+    const current = document.querySelector('#tableBody tr[tabindex="0"]');
+    if (current && current !== row) current.tabIndex = -1;
+    row.tabIndex = 0;
+    activeRowKey = row.dataset.key;
+    if (focus) row.focus();
+}
+
+// Get the scheduled length and surface of a section (1-based) from the edition manifest
+function getSectionSpec(sectionNumber) {
+    return editionConfig ? resolveSectionSpec(editionConfig.sections, sectionNumber) : null;
+}
+
+// Expand the section schedule into lap ranges covering laps 1..maxLap
+function getSections(maxLap) {
+    return buildSections(editionConfig ? editionConfig.sections : null, maxLap);
+}
+
+// Helper function to determine if a section is trail or road
+function isTrailSection(sectionNumber) {
+    const spec = getSectionSpec(sectionNumber);
+    return spec !== null && spec.surface === 'trail';
+}
+
+// X-axis title describing the repeating section schedule
+function getLapAxisTitle() {
+    const repeat = editionConfig && editionConfig.sections ? editionConfig.sections.repeat || [] : [];
+    if (repeat.length === 0) return 'Lap Split Times';
+
+    const schedule = repeat
+        .map(s => `${s.surface.charAt(0).toUpperCase() + s.surface.slice(1)}: ${s.laps} hours`)
+        .join(', ');
+    return `Lap Split Times (${schedule})`;
+}
+
+// Initialize Chart
+function initChart() {
+    const ctx = document.getElementById('lapChart').getContext('2d');
+
+    // Custom plugin to draw day/night background
+    const dayNightPlugin = {
+        id: 'dayNightBackground',
+        beforeDraw: (chart) => {
+            const ctx = chart.ctx;
+            const chartArea = chart.chartArea;
+            const xScale = chart.scales.x;
+
+            if (!xScale || !chartArea) return;
+
+            ctx.save();
+
+            // Get the number of laps
+            const maxLap = xScale.max || 0;
+            const sections = getSections(maxLap);
+
+            // Draw sections with trail/road logic
+            sections.forEach(section => {
+                const sectionEnd = Math.min(section.endLap, maxLap);
+
+                // Draw background
+                const sectionStart = xScale.getPixelForValue(section.startLap - 1);
+                const sectionEndPixel = xScale.getPixelForValue(sectionEnd);
+
+                ctx.fillStyle = surfaceColors[section.surface] || 'rgba(128, 128, 128, 0.08)';
+                ctx.fillRect(
+                    sectionStart,
+                    chartArea.top,
+                    sectionEndPixel - sectionStart,
+                    chartArea.bottom - chartArea.top
+                );
+            });
+
+            // Add labels for sections
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+            ctx.font = '12px Arial';
+            ctx.textAlign = 'center';
+
+            sections.forEach(section => {
+                const centerLap = section.startLap + (section.laps - 1) / 2;
+
+                // Skip labels wider than their section (zoomed out or on narrow screens)
+                const width = xScale.getPixelForValue(section.startLap - 1 + section.laps) - xScale.getPixelForValue(section.startLap - 1);
+                if (centerLap <= maxLap && ctx.measureText(section.label).width < width) {
+                    const centerPixel = xScale.getPixelForValue(centerLap - 0.5);
+                    ctx.fillText(section.label, centerPixel, chartArea.top + 15);
+                }
+            });
+
+            ctx.restore();
+        }
+    };
+
+    // Custom plugin to shade each runner's projected drop-out window
+    const dropoutForecastPlugin = {
+        id: 'dropoutForecast',
+        beforeDatasetsDraw: (chart) => {
+            const ctx = chart.ctx;
+            const chartArea = chart.chartArea;
+            const xScale = chart.scales.x;
+
+            if (!xScale || !chartArea || dropoutForecasts.length === 0) return;
+
+            ctx.save();
+            ctx.font = '11px Arial';
+            ctx.textAlign = 'center';
+
+            // The earliest-latest spread is shaded up to the axis end, which stops a few laps past the data
+            ctx.beginPath();
+            ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+            ctx.clip();
+
+            dropoutForecasts.forEach((forecast, i) => {
+                const start = xScale.getPixelForValue(forecast.earliest - 1);
+                const end = Math.min(xScale.getPixelForValue(forecast.latest - 1), chartArea.right);
+                const likely = xScale.getPixelForValue(forecast.likely - 1);
+
+                ctx.fillStyle = forecast.color + '22';
+                ctx.fillRect(start, chartArea.top, Math.max(end - start, 2), chartArea.bottom - chartArea.top);
+
+                const label = `${forecast.name}: stop ~${forecast.likely}`;
+                ctx.fillStyle = forecast.color;
+                if (likely > chartArea.right) {
+                    ctx.textAlign = 'right';
+                    ctx.fillText(`${label} →`, chartArea.right - 4, chartArea.top + 30 + i * 14);
+                    ctx.textAlign = 'center';
+                    return;
+                }
+
+                ctx.strokeStyle = forecast.color;
+                ctx.setLineDash([4, 4]);
+                ctx.beginPath();
+                ctx.moveTo(likely, chartArea.top);
+                ctx.lineTo(likely, chartArea.bottom);
+                ctx.stroke();
+
+                ctx.fillText(label, likely, chartArea.top + 30 + i * 14);
+            });
+
+            ctx.restore();
+        }
+    };
+
+    // Custom plugin to draw race notes as vertical markers, labels stacked up from the bottom
+    const annotationPlugin = {
+        id: 'raceNotes',
+        afterDatasetsDraw: (chart) => {
+            const ctx = chart.ctx;
+            const chartArea = chart.chartArea;
+            const xScale = chart.scales.x;
+
+            if (!xScale || !chartArea || !isLapRangeView()) return;
+
+            ctx.save();
+            ctx.font = '11px Arial';
+            ctx.textAlign = 'left';
+            const rowEnds = []; // Right edge of the last label in each label row
+
+            getVisibleAnnotations().forEach(note => {
+                const x = xScale.getPixelForValue(note.lap - 1);
+                if (x < chartArea.left || x > chartArea.right) return;
+
+                ctx.strokeStyle = note.color;
+                ctx.setLineDash([3, 3]);
+                ctx.beginPath();
+                ctx.moveTo(x, chartArea.top);
+                ctx.lineTo(x, chartArea.bottom);
+                ctx.stroke();
+
+                const label = note.text.length > annotationLabelLength ? note.text.slice(0, annotationLabelLength - 1) + '…' : note.text;
+                const width = ctx.measureText(label).width + 6;
+                const left = x + width > chartArea.right ? x - width - 2 : x + 2;
+                let row = rowEnds.findIndex(end => end < left);
+                if (row === -1) row = rowEnds.push(0) - 1;
+                rowEnds[row] = left + width;
+
+                const y = chartArea.bottom - 6 - row * 15;
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+                ctx.fillRect(left, y - 10, width, 14);
+                ctx.fillStyle = note.color;
+                ctx.fillText(label, left + 3, y);
+            });
+
+            ctx.restore();
+        }
+    };
+
+    chart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: [],
+            datasets: []
+        },
+        plugins: [dayNightPlugin, dropoutForecastPlugin, annotationPlugin],
+        options: {
+            responsive: true,
+            // Lap data is positional (index = lap - 1), so x values are unique and sorted.
+            // Chart.js decimation is not used: it needs a linear x-axis and only thins datasets
+            // with more points than the plot is wide, while a race has a few hundred laps at most.
+            // Many runners cost datasets, not points: see manyRunnersThreshold and animatedDatasetLimit.
+            normalized: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: false
+                },
+                subtitle: {
+                    display: true,
+                    text: 'Click legend to (de)select data:',
+                    position: 'top',
+                    align: 'start',
+                    padding: {
+                        bottom: 10
+                    }
+                },
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        filter: function(legendItem, chartData) {
+                            // Hide upper halves of bands (e.g. "Upper Std Dev") from legend
+                            return !chartData.datasets[legendItem.datasetIndex].hideInLegend;
+                        }
+                    },
+                    onClick: function(e, legendItem, legend) {
+                        const chart = legend.chart;
+                        const key = chart.data.datasets[legendItem.datasetIndex].key;
+                        const hidden = chart.isDatasetVisible(legendItem.datasetIndex);
+
+                        // Toggle every dataset sharing the key (both standard deviation bands share one)
+                        chart.data.datasets.forEach((dataset, i) => {
+                            if (dataset.key === key) {
+                                chart.getDatasetMeta(i).hidden = hidden;
+                            }
+                        });
+
+                        legendOverrides.set(key, hidden);
+
+                        // Overlays hidden so far have no data yet
+                        if (!hidden && chart.data.datasets.some(dataset => dataset.key === key && dataset.lazy)) {
+                            updateChart();
+                        } else {
+                            chart.update();
+                        }
+                        updatePermalink();
+                    }
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    // With many runners list only their laps, not every overlay
+                    filter: item => selectedRunners.size <= manyRunnersThreshold || item.dataset.bib !== undefined || String(item.dataset.key).startsWith('field:') || item.dataset.key === 'conditions',
+                    callbacks: {
+                        title: function(items) {
+                            if (items.length === 0) return '';
+                            const lap = Number(items[0].label);
+                            const km = editionConfig && editionConfig.lapDistance ? editionConfig.lapDistance.km : null;
+                            return km ? `Lap ${lap} (${(lap * km).toFixed(1)} km)` : `Lap ${lap}`;
+                        },
+                        footer: function(items) {
+                            if (items.length === 0 || !isLapRangeView()) return [];
+                            const lap = Number(items[0].label);
+                            return getVisibleAnnotations().filter(note => note.lap === lap).map(note => `✎ ${note.text}`);
+                        },
+                        afterLabel: function(context) {
+                            const lines = [];
+                            const issues = context.dataset.issues;
+                            if (issues && issues.has(context.dataIndex)) {
+                                lines.push(`⚠ ${issues.get(context.dataIndex)}`);
+                            }
+
+                            const anomalies = context.dataset.anomalies;
+                            if (anomalies && anomalies.has(context.dataIndex)) {
+                                anomalies.get(context.dataIndex).forEach(reason => lines.push(`✕ Suspect: ${reason}`));
+                                if (excludeAnomalies) lines.push('Left out of the statistics');
+                            }
+
+                            // Percentile rank of a runner's lap within the field at the same lap
+                            const lapStats = fieldStats[context.dataIndex];
+                            if (showFieldBands && context.dataset.bib !== undefined && lapStats && context.raw !== null) {
+                                const rank = calculatePercentileRank(lapStats.values, context.raw);
+                                lines.push(`Field percentile: ${Math.round(rank)} (of ${lapStats.values.length})`);
+                            }
+                            return lines;
+                        }
+                    }
+                },
+                zoom: {
+                    // Wheel/pinch and shift-drag zoom, drag pans; only over the y-axis do they act on y
+                    limits: {
+                        x: { min: 'original', max: 'original' }
+                    },
+                    pan: {
+                        enabled: true,
+                        mode: 'xy',
+                        overScaleMode: 'y',
+                        onPanComplete: handleChartZoom
+                    },
+                    zoom: {
+                        wheel: { enabled: true },
+                        pinch: { enabled: true },
+                        drag: { enabled: true, modifierKey: 'shift' },
+                        mode: 'xy',
+                        overScaleMode: 'y',
+                        onZoomComplete: handleChartZoom
+                    }
+                }
+            },
+            onClick: function(event) {
+                // Clicking a section label selects that section's laps
+                const { chartArea, scales } = this;
+                if (!isLapRangeView() || event.y < chartArea.top || event.y > chartArea.top + 20) return;
+
+                const lapNumber = Math.round(scales.x.getValueForPixel(event.x)) + 1;
+                const section = getSections(this.data.labels.length).find(s => lapNumber >= s.startLap && lapNumber <= s.endLap);
+                if (section) {
+                    setLapRange(section.startLap, Math.min(section.endLap, this.data.labels.length));
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: getLapAxisTitle()
+                    },
+                    ticks: {
+                        maxRotation: 50,
+                        autoSkipPadding: 3
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Time (minutes)'
+                    },
+                    min: 30,
+                    max: 60,
+                    ticks: {
+                        callback: function(value) {
+                            if (chartMetric === 'survival') return `${value}%`;
+                            // Whole minutes fit the narrow axis of the compact layout
+                            return compactLayout ? `${Math.round(value)}m` : formatMinutes(value);
+                        }
+                    }
+                },
+                y1: {
+                    display: false,
+                    position: 'right',
+                    min: 0,
+                    title: {
+                        display: true,
+                        text: 'Runners still in'
+                    },
+                    grid: {
+                        drawOnChartArea: false
+                    }
+                },
+                y2: {
+                    display: false,
+                    position: 'right',
+                    title: {
+                        display: true,
+                        text: 'Conditions'
+                    },
+                    grid: {
+                        drawOnChartArea: false
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Project the lap a runner is likely to stop on: the last lap before the projected split
+// (EMA level plus recent trend slope) or the projected rest margin drops to minMargin.
+// Earliest/latest shift the split level by one residual standard deviation.
+function forecastDropout(lapTimes, restTimes, minMargin = restDangerThreshold) {
+    const validCount = lapTimes.filter(t => t !== null).length;
+    if (validCount < 6) return null;
+
+    const trendline = calculateTrendline(lapTimes.slice(-forecastWindow));
+    const ema = calculateEMA(lapTimes, 6);
+    const restTrend = calculateTrendline(restTimes.slice(-forecastWindow));
+    const restEma = calculateEMA(restTimes, 6);
+    if (!trendline || !ema) return null;
+
+    const lastLap = lapTimes.length;
+    const lastValue = values => values.filter(v => v !== null).pop();
+    const level = lastValue(ema);
+    const restLevel = restEma ? lastValue(restEma) : null;
+
+    // Spread of the recent laps around their trend
+    const residuals = lapTimes.slice(-forecastWindow)
+        .map((t, i) => t === null ? null : t - (trendline.slope * (i + 1) + trendline.intercept))
+        .filter(r => r !== null);
+    const spread = calculateStats(residuals).stdDev;
+
+    const projectSplit = lapNumber => level + trendline.slope * (lapNumber - lastLap);
+    const projectRest = lapNumber => restLevel === null || !restTrend
+        ? Infinity
+        : restLevel + restTrend.slope * (lapNumber - lastLap);
+
+    // Last lap the runner is still projected to finish with some rest to spare
+    const stopLap = offset => {
+        for (let lapNumber = lastLap + 1; lapNumber <= lastLap + forecastHorizon; lapNumber++) {
+            const split = projectSplit(lapNumber) + offset;
+            const margin = Math.min(60 - split, projectRest(lapNumber) - offset);
+            if (margin <= minMargin) return lapNumber - 1;
+        }
+        return null;
+    };
+
+    const likely = stopLap(0);
+    if (likely === null) return null;
+
+    return {
+        likely,
+        earliest: stopLap(spread) || likely,
+        latest: stopLap(-spread) || lastLap + forecastHorizon,
+        projectSplit
+    };
+}
+
+// Share of starters still running after each lap (Kaplan-Meier estimate; every
+// runner's stop is an observed event, so it reduces to the surviving fraction)
+function calculateSurvival(results) {
+    const lapCounts = results.map(r => Number(r.Laps) || 0);
+    const maxLap = Math.max(0, ...lapCounts);
+
+    return Array.from({length: maxLap + 1}, (_, lap) =>
+        results.length > 0 ? lapCounts.filter(count => count >= lap).length / results.length * 100 : null);
+}
+
+// Chart the survival curves of every edition, optionally split by gender or age group
+function updateSurvivalChart() {
+    const datasets = [];
+    let maxLap = 0;
+    dropoutForecasts = [];
+    fieldStats = [];
+
+    editions.filter(config => editionData[config.edition]).forEach(config => {
+        const results = editionData[config.edition].results;
+        const color = getEditionColor(config.edition);
+        const editionLabel = config.label || config.edition;
+
+        let groups = [{ key: 'all', label: editionLabel, runners: results }];
+        if (survivalGroup === 'gender') {
+            groups = [...new Set(results.map(r => r.Gender).filter(Boolean))].sort()
+                .map(gender => ({ key: gender, label: `${editionLabel} ${gender}`, runners: results.filter(r => r.Gender === gender) }));
+        } else if (survivalGroup === 'age') {
+            groups = ageGroups
+                .map(group => ({
+                    key: group.key,
+                    label: `${editionLabel} ${group.label}`,
+                    runners: results.filter(r => r.Age !== '' && Number(r.Age) >= group.min && Number(r.Age) <= group.max)
+                }))
+                .filter(group => group.runners.length > 0);
+        }
+
+        groups.forEach((group, i) => {
+            const survival = calculateSurvival(group.runners);
+            maxLap = Math.max(maxLap, survival.length - 1);
+
+            datasets.push({
+                label: `${group.label} (${group.runners.length})`,
+                key: `survival:${config.edition}:${group.key}`,
+                hidden: isDatasetHidden(`survival:${config.edition}:${group.key}`, false),
+                data: survival,
+                borderColor: color,
+                backgroundColor: 'transparent',
+                borderDash: survivalDashes[i % survivalDashes.length],
+                borderWidth: 2,
+                stepped: true,
+                pointRadius: 0,
+                fill: false
+            });
+        });
+    });
+
+    const metric = chartMetrics.survival;
+    chart.data.labels = Array.from({length: maxLap + 1}, (_, i) => i);
+    chart.data.datasets = datasets;
+    chart.options.scales.x.title.text = 'Laps completed';
+    chart.options.scales.y.title.text = metric.title;
+    chart.options.scales.y.min = metric.min;
+    chart.options.scales.y.max = metric.max;
+    chart.options.scales.y1.display = false;
+    chart.options.scales.y2.display = false;
+    chart.update();
+    renderChartAlternative([]);
+
+    renderHeadToHead([]);
+    renderRestSummary([], 0);
+    renderSplitBreakdown([], 0);
+    renderEditionComparison([]);
+}
+
+// Visibility of a dataset: the user's legend toggle if any, else its default
+function isDatasetHidden(key, hiddenByDefault) {
+    return legendOverrides.has(key) ? legendOverrides.get(key) : hiddenByDefault;
+}
+
+// Update chart with selected runners
+function updateChart() {
+    if (!chart) return;
+
+    // The lap range and y zoom apply to the runner view; the other views span all laps
+    chart.options.scales.x.min = undefined;
+    chart.options.scales.x.max = undefined;
+    chart.options.plugins.zoom.limits.x = { min: 'original', max: 'original' };
+    renderLapBrush(0);
+
+    if (chartMetric === 'survival') {
+        updateSurvivalChart();
+        return;
+    }
+
+    if (comparison) {
+        updateComparisonChart();
+        return;
+    }
+
+    const datasets = [];
+    const runnerRows = [];
+    const metric = chartMetrics[chartMetric];
+    dropoutForecasts = [];
+    const clamp = value => Math.max(metric.min, Math.min(metric.max, value)); // Clamp to chart bounds
+    let maxLaps = 0;
+
+    // With many runners, overlays leave the legend (see the overlay settings) and lap markers shrink
+    const manyRunners = selectedRunners.size > manyRunnersThreshold;
+
+    // Only runners still in can drop out: at the replay hour, or while following a live feed
+    const droppedLive = liveFeed && replayHour === null ? getDroppedBibs() : null;
+    const isStillIn = (bib, runnerLaps) => replayHour !== null
+        ? runnerLaps.length >= replayHour
+        : droppedLive !== null && !droppedLive.has(bib);
+    const sections = getSections(lapsData.reduce((max, lap) => Math.max(max, lap.Index), 0));
+
+    Array.from(selectedRunners).forEach((bib, index) => {
+        const runner = resultsData.find(r => r.Bib === bib);
+        if (!runner) return;
+
+        // Get lap data for this runner (File number corresponds to Bib)
+        const allLaps = lapsData.filter(lap => lap.File === bib);
+
+        // During replay only the laps completed by the replay hour are revealed
+        const runnerLaps = replayHour === null ? allLaps : allLaps.filter(lap => lap.Index <= replayHour);
+        const lapTimes = runnerLaps.map(lap => parseTimeToMinutes(lap[metric.field]));
+
+        // Suspect laps from the anomaly detector, keyed by position in lapTimes
+        const suspects = lapAnomalies.get(bib) || new Map();
+        const suspectLaps = new Map();
+        runnerLaps.forEach((lap, i) => {
+            if (suspects.has(lap.Index)) suspectLaps.set(i, suspects.get(lap.Index));
+        });
+
+        // Overlays and markers only consider the laps in the selected range (and, if asked, no suspect laps)
+        const inRange = position => lapRange === null || (position + 1 >= lapRange.from && position + 1 <= lapRange.to);
+        const counted = position => inRange(position) && !(excludeAnomalies && suspectLaps.has(position));
+        const rangeTimes = lapTimes.map((t, i) => counted(i) ? t : null);
+
+        maxLaps = Math.max(maxLaps, allLaps.length);
+
+        const color = getRunnerColor(index);
+
+        runnerRows.push({ runner, color, laps: runnerLaps.filter((_, i) => inRange(i)) });
+
+        // Find min and max points (split view) or laps under the rest threshold (rest view)
+        const validTimes = rangeTimes.filter(t => t !== null);
+        const minTime = chartMetric === 'split' ? Math.min(...validTimes) : null;
+        const maxTime = chartMetric === 'split' ? Math.max(...validTimes) : null;
+        const isMin = (t, i) => counted(i) && t === minTime;
+        const isMax = (t, i) => counted(i) && t === maxTime;
+        const isDanger = t => chartMetric === 'rest' && t !== null && t < restDangerThreshold;
+
+        // Laps flagged by the integrity checks, keyed by position in lapTimes
+        const flaggedLaps = new Map();
+        (dataIssues.get(bib) || []).forEach(issue => {
+            const position = runnerLaps.findIndex(lap => lap.Index === issue.lap);
+            if (position !== -1) flaggedLaps.set(position, issue.message);
+        });
+
+        // Main line dataset
+        const dataset = {
+            label: runner.Name,
+            key: `${bib}:line`,
+            hidden: isDatasetHidden(`${bib}:line`, false),
+            bib: bib,
+            issues: flaggedLaps,
+            anomalies: suspectLaps,
+            data: lapTimes,
+            borderColor: color,
+            backgroundColor: color + '33',
             tension: 0.1,
-            pointRadius: lapTimes.map(t => {
-                if (t === minTime || t === maxTime) return 6;
-                return 3;
+            // Suspect laps can also carry integrity warnings; their marker wins as they can be excluded
+            pointStyle: lapTimes.map((_, i) => {
+                if (suspectLaps.has(i)) return 'crossRot';
+                return flaggedLaps.has(i) ? 'triangle' : 'circle';
             }),
-            pointBackgroundColor: lapTimes.map(t => {
-                if (t === minTime) return '#00FF00';
-                if (t === maxTime) return '#FF0000';
+            pointRadius: lapTimes.map((t, i) => {
+                if (flaggedLaps.has(i) || suspectLaps.has(i)) return 8;
+                if (isMin(t, i) || isMax(t, i) || isDanger(t)) return 6;
+                return manyRunners ? 0 : 3;
+            }),
+            pointBackgroundColor: lapTimes.map((t, i) => {
+                if (isDanger(t)) return '#DC3545';
+                if (isMin(t, i)) return '#00FF00';
+                if (isMax(t, i)) return '#FF0000';
                 return color;
             }),
-            pointBorderColor: lapTimes.map(t => {
-                if (t === minTime || t === maxTime) return '#000000';
+            pointBorderColor: lapTimes.map((t, i) => {
+                if (suspectLaps.has(i)) return anomalyColor;
+                if (isMin(t, i) || isMax(t, i) || isDanger(t)) return '#000000';
                 return color;
             }),
-            pointBorderWidth: lapTimes.map(t => {
-                if (t === minTime || t === maxTime) return 2;
+            pointBorderWidth: lapTimes.map((t, i) => {
+                if (suspectLaps.has(i)) return 3;
+                if (isMin(t, i) || isMax(t, i) || isDanger(t)) return 2;
                 return 1;
             })
         };
 
-        datasets.push(dataset);
+        datasets.push(dataset);
+
+        // Analysis overlays; hidden ones are computed once shown from the legend
+        const addOverlay = (type, dataset, defaultHidden, compute) => {
+            if (!overlayApplies(bib, type)) return;
+
+            const key = `${bib}:${type}`;
+            const hidden = isDatasetHidden(key, defaultHidden);
+            const data = hidden ? [] : compute();
+            if (data === null) return;
+
+            datasets.push({
+                label: `${runner.Name} ${dataset.label}`,
+                key,
+                hidden,
+                lazy: hidden,
+                hideInLegend: manyRunners,
+                data: data.map(value => value === null ? null : clamp(value)),
+                backgroundColor: 'transparent',
+                pointRadius: 0,
+                fill: false,
+                ...dataset.style
+            });
+        };
+
+        addOverlay('trend', { label: 'Trend', style: { borderColor: color + 'CC', borderDash: [15, 5], borderWidth: 2 } }, false, () => {
+            const trendline = calculateTrendline(rangeTimes);
+            return trendline
+                ? lapTimes.map((_, index) => inRange(index) ? trendline.slope * (index + 1) + trendline.intercept : null)
+                : null;
+        });
+
+        addOverlay('ema', { label: `EMA (${overlaySettings.emaWindow}-lap)`, style: { borderColor: color + 'AA', borderDash: [5, 5], borderWidth: 3 } }, true,
+            () => calculateEMA(rangeTimes, overlaySettings.emaWindow));
+
+        addOverlay('median', { label: `Rolling median (${overlaySettings.medianWindow}-lap)`, style: { borderColor: color + 'AA', borderDash: [1, 3], borderWidth: 3 } }, false,
+            () => calculateRollingMedian(rangeTimes, overlaySettings.medianWindow));
+
+        if (overlaySettings.regression === 'loess') {
+            addOverlay('regression', { label: 'LOESS', style: { borderColor: color + 'DD', borderWidth: 2 } }, false,
+                () => calculateLoess(rangeTimes, overlaySettings.loessSpan));
+        } else if (overlaySettings.regression === 'piecewise') {
+            // Lines break between sections instead of joining one section's fit to the next
+            const sectionOf = lapNumber => sections.findIndex(section => lapNumber >= section.startLap && lapNumber <= section.endLap);
+            addOverlay('regression', {
+                label: 'Section trends',
+                style: {
+                    borderColor: color + 'DD',
+                    borderWidth: 2,
+                    segment: { borderColor: ctx => sectionOf(ctx.p0DataIndex + 1) === sectionOf(ctx.p1DataIndex + 1) ? undefined : 'transparent' }
+                }
+            }, false, () => calculatePiecewiseTrend(rangeTimes, sections));
+        }
+
+        // Standard deviation band: the upper edge carries no legend item, the lower one fills up to it
+        if (overlayApplies(bib, 'std')) {
+            const hidden = isDatasetHidden(`${bib}:std`, true);
+            const stats = hidden ? null : calculateStats(validTimes);
+            const band = limit => hidden ? [] : rangeTimes.map(t => t !== null ? limit(stats) : null);
+
+            datasets.push({
+                label: `${runner.Name} Upper Std Dev`,
+                key: `${bib}:std`,
+                hideInLegend: true,
+                data: band(s => Math.min(s.mean + s.stdDev, metric.max)),
+                borderColor: color + '40',
+                backgroundColor: 'transparent',
+                borderDash: [5, 5],
+                pointRadius: 0,
+                fill: false,
+                hidden,
+                lazy: hidden
+            });
+
+            datasets.push({
+                label: `${runner.Name} Standard Deviation`,
+                key: `${bib}:std`,
+                hideInLegend: manyRunners,
+                data: band(s => Math.max(s.mean - s.stdDev, metric.min)),
+                borderColor: color + '40',
+                backgroundColor: color + '20',
+                borderDash: [5, 5],
+                pointRadius: 0,
+                fill: '-1',
+                hidden,
+                lazy: hidden
+            });
+        }
+
+        // Projected drop-out lap from the fade in splits and rest margins
+        if (showForecast && chartMetric === 'split' && isStillIn(bib, runnerLaps)) {
+            const restTimes = runnerLaps.map(lap => parseTimeToMinutes(lap['Rest Time']));
+            const forecast = forecastDropout(lapTimes, restTimes);
+
+            if (forecast) {
+                dropoutForecasts.push({ name: runner.Name, color, ...forecast });
+                maxLaps = Math.max(maxLaps, Math.min(forecast.likely, lapTimes.length + forecastAxisLaps));
+
+                datasets.push({
+                    label: `${runner.Name} Forecast`,
+                    key: `${bib}:forecast`,
+                    hidden: isDatasetHidden(`${bib}:forecast`, false),
+                    data: Array.from({length: forecast.likely}, (_, i) => {
+                        const lapNumber = i + 1;
+                        return lapNumber < lapTimes.length ? null : clamp(forecast.projectSplit(lapNumber));
+                    }),
+                    borderColor: color + 'AA',
+                    backgroundColor: 'transparent',
+                    borderDash: [2, 4],
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    fill: false
+                });
+            }
+        }
+    });
+
+    // Whole-field overlays: median, 10th-90th percentile band and runners still in
+    const fieldLaps = replayHour === null ? lapsData : lapsData.filter(lap => lap.Index <= replayHour);
+    fieldStats = showFieldBands ? calculateFieldStats(fieldLaps, metric.field) : [];
+
+    if (showFieldBands && maxLaps > 0) {
+        const band = (value) => value !== null ? clamp(value) : null;
+        const fieldByLap = Array.from({length: maxLaps}, (_, i) => fieldStats[i]);
+
+        datasets.push({
+            label: 'Field 90th percentile',
+            key: 'field:band',
+            hideInLegend: true,
+            hidden: isDatasetHidden('field:band', false),
+            data: fieldByLap.map(lapStats => lapStats ? band(lapStats.p90) : null),
+            borderColor: 'rgba(108, 117, 125, 0.3)',
+            backgroundColor: 'transparent',
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false
+        });
+
+        datasets.push({
+            label: 'Field 10th-90th percentile',
+            key: 'field:band',
+            hidden: isDatasetHidden('field:band', false),
+            data: fieldByLap.map(lapStats => lapStats ? band(lapStats.p10) : null),
+            borderColor: 'rgba(108, 117, 125, 0.3)',
+            backgroundColor: 'rgba(108, 117, 125, 0.12)',
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: '-1'
+        });
+
+        datasets.push({
+            label: 'Field median',
+            key: 'field:median',
+            hidden: isDatasetHidden('field:median', false),
+            data: fieldByLap.map(lapStats => lapStats ? band(lapStats.median) : null),
+            borderColor: 'rgba(73, 80, 87, 0.8)',
+            backgroundColor: 'transparent',
+            borderDash: [6, 3],
+            borderWidth: 2,
+            pointRadius: 0,
+            fill: false
+        });
+
+        datasets.push({
+            label: 'Runners still in',
+            key: 'field:count',
+            hidden: isDatasetHidden('field:count', false),
+            yAxisID: 'y1',
+            data: fieldByLap.map(lapStats => lapStats ? lapStats.count : 0),
+            borderColor: 'rgba(40, 167, 69, 0.6)',
+            backgroundColor: 'transparent',
+            stepped: true,
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false
+        });
+    }
+
+    // Hourly conditions of the edition on their own axis
+    const recorded = conditionsField && conditionsData && conditionsData.some(entry => Number.isFinite(entry[conditionsField]));
+    const condition = recorded ? conditionFields[conditionsField] : null;
+    if (condition && maxLaps > 0) {
+        const byLap = new Map(conditionsData.map(entry => [entry.hour, entry[conditionsField]]));
+
+        datasets.push({
+            label: `${condition.label} (${condition.unit})`,
+            key: 'conditions',
+            hidden: isDatasetHidden('conditions', false),
+            yAxisID: 'y2',
+            data: Array.from({length: maxLaps}, (_, i) => Number.isFinite(byLap.get(i + 1)) ? byLap.get(i + 1) : null),
+            borderColor: condition.color + 'AA',
+            backgroundColor: condition.color + '22',
+            stepped: Boolean(condition.stepped),
+            borderWidth: 2,
+            pointRadius: 0,
+            fill: condition.stepped ? 'origin' : false
+        });
+    }
+
+    // Rest view: reference line at the danger threshold
+    if (chartMetric === 'rest' && maxLaps > 0) {
+        datasets.push({
+            label: `Danger threshold (${formatMinutes(restDangerThreshold)})`,
+            key: 'danger',
+            hidden: isDatasetHidden('danger', false),
+            data: Array(maxLaps).fill(restDangerThreshold),
+            borderColor: '#DC3545',
+            backgroundColor: 'transparent',
+            borderDash: [2, 4],
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false
+        });
+    }
+
+    // Update chart
+    chart.data.labels = Array.from({length: maxLaps}, (_, i) => i + 1);
+    chart.data.datasets = datasets;
+    chart.options.scales.x.title.text = getLapAxisTitle();
+    chart.options.scales.y.title.text = metric.title;
+    chart.options.plugins.zoom.limits.x = { min: 0, max: Math.max(maxLaps - 1, 0) };
+    chart.options.scales.x.min = lapRange ? lapRange.from - 1 : undefined;
+    chart.options.scales.x.max = lapRange ? Math.min(lapRange.to, maxLaps) - 1 : undefined;
+    chart.options.scales.y.min = yView ? yView.min : metric.min;
+    chart.options.scales.y.max = yView ? yView.max : metric.max;
+    chart.options.scales.y1.display = showFieldBands && maxLaps > 0;
+    chart.options.scales.y2.display = Boolean(condition) && maxLaps > 0;
+    chart.options.scales.y2.title.text = condition ? `${condition.label} (${condition.unit})` : 'Conditions';
+    chart.options.scales.y2.min = condition ? condition.min : undefined;
+    chart.options.scales.y2.max = condition ? condition.max : undefined;
+    chart.options.animation = datasets.length > animatedDatasetLimit ? false : { duration: 1000 };
+    chart.update();
+    renderLapBrush(maxLaps);
+    renderRunnerOverlayMatrix();
+    renderChartAlternative(runnerRows);
+
+    renderHeadToHead(runnerRows.length === 2 ? runnerRows : []);
+    renderRestSummary(chartMetric === 'rest' ? runnerRows : [], maxLaps);
+    renderSplitBreakdown(runnerRows, maxLaps);
+    renderEditionComparison([]);
+}
+
+// Check whether a lap started outside the edition's daylight hours
+function isNightLap(lap) {
+    return lapStartsAtNight(lap, editionConfig && editionConfig.daylight ? editionConfig.daylight : defaultDaylight);
+}
+
+// Render trail vs road and day vs night split statistics for the selected runners
+function renderSplitBreakdown(runnerRows, maxLaps) {
+    const container = document.getElementById('splitBreakdown');
+
+    if (runnerRows.length === 0) {
+        container.classList.add('d-none');
+        container.innerHTML = '';
+        return;
+    }
+
+    const sections = getSections(maxLaps);
+    const surfaceOf = lap => getLapSurface(sections, lap);
+    const split = lap => parseTimeToMinutes(lap['Lap Split']);
+    const time = value => formatMinutes(value);
+    const delta = value => `${value >= 0 ? '+' : ''}${formatMinutes(value)}`;
+
+    const groupRow = (label, stats) => stats
+        ? `<tr><th>${label}</th><td>${stats.count}</td><td>${time(stats.mean)}</td><td>${time(stats.median)}</td><td>${time(stats.fastest)}</td><td>${time(stats.stdDev)}</td></tr>`
+        : `<tr><th>${label}</th><td colspan="5" class="text-muted">No laps</td></tr>`;
+    const deltaRow = (label, a, b) => a && b
+        ? `<tr class="table-light"><th>${label}</th><td></td><td>${delta(a.mean - b.mean)}</td><td>${delta(a.median - b.median)}</td><td>${delta(a.fastest - b.fastest)}</td><td>${delta(a.stdDev - b.stdDev)}</td></tr>`
+        : '';
+
+    const tables = runnerRows.map(({ runner, color, laps }) => {
+        const trail = describeSplits(laps.filter(lap => surfaceOf(lap) === 'trail').map(split));
+        const road = describeSplits(laps.filter(lap => surfaceOf(lap) === 'road').map(split));
+        const day = describeSplits(laps.filter(lap => !isNightLap(lap)).map(split));
+        const night = describeSplits(laps.filter(lap => isNightLap(lap)).map(split));
+
+        return `
+            <div class="split-breakdown-runner">
+                <div class="fw-semibold"><span class="color-swatch" style="background-color: ${color}"></span>${escapeHtml(runner.Name)}</div>
+                <table class="table table-sm mb-2">
+                    <thead><tr><th></th><th>Laps</th><th>Mean</th><th>Median</th><th>Fastest</th><th>Std dev</th></tr></thead>
+                    <tbody>
+                        ${groupRow('Trail', trail)}
+                        ${groupRow('Road', road)}
+                        ${deltaRow('Road − trail', road, trail)}
+                        ${groupRow('Day', day)}
+                        ${groupRow('Night', night)}
+                        ${deltaRow('Night − day', night, day)}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }).join('');
+
+    container.classList.remove('d-none');
+    container.innerHTML = `
+        <h6 class="mb-1">Trail vs road and day vs night splits</h6>
+        <div class="d-flex flex-wrap gap-3">${tables}</div>
+    `;
+}
+
+// Offer the conditions axis only for editions with a conditions file, outside the survival view
+function syncConditionsControl() {
+    document.getElementById('conditionsControl').classList.toggle('d-none', !conditionsData || chartMetric === 'survival');
+}
+
+// Fill the conditions choice with the fields the current edition's file records
+function renderConditionsOptions(fields) {
+    const select = document.getElementById('conditionsField');
+    select.innerHTML = '<option value="">None</option>' + fields
+        .map(field => `<option value="${field}">${conditionFields[field].label}</option>`).join('');
+    select.value = fields.includes(conditionsField) ? conditionsField : '';
+}
+
+// Render how the field's median split and drop-outs moved with the edition's hourly conditions
+function renderConditionsPanel() {
+    const container = document.getElementById('conditionsPanel');
+    syncConditionsControl();
+
+    const fields = Object.keys(conditionFields).filter(field => (conditionsData || []).some(entry => Number.isFinite(entry[field])));
+    renderConditionsOptions(fields);
+
+    if (fields.length === 0) {
+        container.classList.add('d-none');
+        container.innerHTML = '';
+        return;
+    }
+
+    const stats = correlateConditions(calculateFieldStats(lapsData, 'Lap Split'), conditionsData, fields);
+    const coefficient = result => result
+        ? `<td title="${result.n} hours">${result.r >= 0 ? '+' : '−'}${Math.abs(result.r).toFixed(2)}</td>`
+        : '<td class="text-muted">–</td>';
+
+    const rows = stats.map(({ field, hours, min, max, median, dropouts }) => {
+        const { label, unit } = conditionFields[field];
+        const range = hours > 0 ? `${min}–${max} ${unit}` : 'No hours with laps';
+        return `<tr><th>${label}</th><td>${range}</td>${coefficient(median)}${coefficient(dropouts)}</tr>`;
+    }).join('');
+
+    container.classList.remove('d-none');
+    container.innerHTML = `
+        <h6 class="mb-1">Conditions vs the field</h6>
+        <table class="table table-sm mb-1">
+            <thead><tr><th></th><th>Range</th><th>r with median split</th><th>r with drop-outs</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <div class="text-muted">Pearson r per race hour (hour N is lap N), from −1 to +1. Surface changes such as a rain swap also move the median split.</div>
+    `;
+}
+
+// Describe the chart for screen readers: a label on the canvas and a trend sentence per runner
+function renderChartAlternative(runnerRows) {
+    const canvas = document.getElementById('lapChart');
+    const summary = document.getElementById('chartSummary');
+    const yTitle = chart.options.scales.y.title.text;
+    const xTitle = chart.options.scales.x.title.text;
+
+    if (runnerRows.length === 0) {
+        const plotted = chart.data.datasets.filter((_, i) => chart.isDatasetVisible(i)).map(dataset => dataset.label);
+        canvas.setAttribute('aria-label', `Chart of ${yTitle.toLowerCase()} by ${xTitle.toLowerCase()}`);
+        summary.innerHTML = plotted.length > 0
+            ? `<p class="mb-1">Plotted: ${escapeHtml(plotted.join(', '))}.</p>`
+            : '<p class="mb-1">Select runners in the table to plot their laps.</p>';
+    } else {
+        const isRest = chartMetric === 'rest';
+        const field = chartMetrics[chartMetric].field;
+        const range = lapRange ? `Laps ${lapRange.from}–${lapRange.to}. ` : '';
+
+        const sentences = runnerRows.map(({ runner, laps }) => {
+            const suspects = lapAnomalies.get(runner.Bib) || new Map();
+            const values = laps.map(lap => excludeAnomalies && suspects.has(lap.Index) ? null : parseTimeToMinutes(lap[field]));
+            const stats = describeSplits(values);
+            if (!stats) return `${runner.Name} (bib ${runner.Bib}): no ${isRest ? 'rests' : 'laps'} recorded.`;
+
+            const lapOf = value => laps[values.indexOf(value)].Index;
+            const slowest = Math.max(...values.filter(value => value !== null));
+            const trend = calculateTrendline(values);
+            const perLap = trend ? trend.slope * 60 : 0;
+            let direction;
+            if (Math.abs(perLap) < 0.5) {
+                direction = isRest ? 'rests steady' : 'steady pace';
+            } else if (isRest) {
+                direction = `rests ${perLap > 0 ? 'growing' : 'shrinking'} by ${Math.abs(perLap).toFixed(1)} s per lap`;
+            } else {
+                direction = `${perLap > 0 ? 'slowing' : 'speeding up'} by ${Math.abs(perLap).toFixed(1)} s per lap`;
+            }
+
+            return `${runner.Name} (bib ${runner.Bib}): ${stats.count} ${isRest ? 'rests' : 'laps'}, mean ${formatMinutes(stats.mean)} ` +
+                `(${isRest ? 'shortest' : 'fastest'} ${formatMinutes(stats.fastest)} on lap ${lapOf(stats.fastest)}, ` +
+                `${isRest ? 'longest' : 'slowest'} ${formatMinutes(slowest)} on lap ${lapOf(slowest)}), ${direction}.`;
+        });
+
+        canvas.setAttribute('aria-label', `Chart of ${yTitle.toLowerCase()} per lap for ${runnerRows.map(row => row.runner.Name).join(', ')}`);
+        summary.innerHTML = sentences.map(sentence => `<p class="mb-1">${range}${escapeHtml(sentence)}</p>`).join('');
+    }
+
+    if (document.getElementById('chartAlternative').open) {
+        renderChartDataTable();
+    }
+}
+
+// Render the plotted values as a table (only while the text alternative is open)
+function renderChartDataTable() {
+    const table = document.getElementById('chartDataTable');
+    const datasets = chart.data.datasets.filter((dataset, i) => chart.isDatasetVisible(i) && !dataset.lazy);
+    const labels = chart.data.labels;
+    const xScale = chart.options.scales.x;
+    const from = xScale.min === undefined ? 0 : Math.max(0, Math.ceil(xScale.min));
+    const to = xScale.max === undefined ? labels.length - 1 : Math.min(labels.length - 1, Math.floor(xScale.max));
+    const format = (dataset, value) => {
+        const y = value !== null && typeof value === 'object' ? value.y : value;
+        if (y === null || y === undefined || Number.isNaN(y)) return '';
+        if (dataset.yAxisID === 'y1') return String(Math.round(y));
+        if (dataset.yAxisID === 'y2') return String(y);
+        return chartMetric === 'survival' ? `${y.toFixed(1)}%` : formatMinutes(y);
+    };
+
+    const rows = [];
+    for (let i = from; i <= to; i++) {
+        rows.push(`<tr><th scope="row">${labels[i]}</th>${datasets.map(dataset => `<td>${format(dataset, dataset.data[i])}</td>`).join('')}</tr>`);
+    }
+
+    table.innerHTML = `
+        <caption class="visually-hidden">${chart.options.scales.y.title.text} by ${chart.options.scales.x.title.text.toLowerCase()}</caption>
+        <thead><tr><th scope="col">${chart.options.scales.x.title.text}</th>${datasets.map(dataset => `<th scope="col">${escapeHtml(dataset.label)}</th>`).join('')}</tr></thead>
+        <tbody>${rows.join('')}</tbody>
+    `;
+}
+
+// Render the lap-by-lap count of each country's runners still in the race (team view only)
+function renderTeamStandings(teams) {
+    const container = document.getElementById('teamStandings');
+
+    if (teams.length === 0) {
+        container.classList.add('d-none');
+        return;
+    }
+
+    container.classList.remove('d-none');
+
+    if (!teamChart) {
+        teamChart = new Chart(document.getElementById('teamChart').getContext('2d'), {
+            type: 'line',
+            data: { labels: [], datasets: [] },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    legend: { position: 'right', labels: { boxWidth: 12 } },
+                    zoom: false,
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        itemSort: (a, b) => b.raw - a.raw,
+                        callbacks: {
+                            title: items => `After lap ${items[0].label}`
+                        }
+                    }
+                },
+                scales: {
+                    x: { title: { display: true, text: 'Laps completed' } },
+                    y: {
+                        title: { display: true, text: 'Runners still in' },
+                        beginAtZero: true,
+                        ticks: { precision: 0 }
+                    }
+                }
+            }
+        });
+    }
+
+    // Colours follow the rank so they don't change with the table's sort order. The top
+    // countries and any with selected runners are drawn; legend toggles survive re-renders.
+    const ranked = [...teams].sort((a, b) => a.Rank - b.Rank);
+    const shown = new Map(teamChart.data.datasets.map((dataset, i) => [dataset.country, teamChart.isDatasetVisible(i)]));
+    const maxLap = Math.max(...teams.map(team => team.stillInByLap.length - 1));
+
+    teamChart.data.labels = Array.from({ length: maxLap + 1 }, (_, i) => i);
+    teamChart.data.datasets = ranked.map((team, i) => {
+        const hasSelected = team.bibs.some(bib => selectedRunners.has(bib));
+        return {
+            label: `${team.Country} (${team.Runners})`,
+            country: team.Country,
+            data: team.stillInByLap,
+            hidden: shown.has(team.Country) ? !shown.get(team.Country) : i >= teamChartTopCount && !hasSelected,
+            borderColor: getRunnerColor(i),
+            backgroundColor: 'transparent',
+            borderWidth: hasSelected ? 3 : 1.5,
+            stepped: true,
+            pointRadius: 0
+        };
+    });
+    teamChart.update();
+}
+
+// Render the lap-by-lap duel of exactly two runners (hidden otherwise)
+function renderHeadToHead(runnerRows) {
+    const container = document.getElementById('headToHead');
+
+    if (runnerRows.length !== 2) {
+        container.classList.add('d-none');
+        return;
+    }
+
+    const [first, second] = runnerRows;
+    const duel = compareHeadToHead(first.laps, second.laps);
+    const name = row => `<span class="color-swatch" style="background-color: ${row.color}"></span>${escapeHtml(row.runner.Name)}`;
+    const streak = run => run ? `${run.length} lap${run.length === 1 ? '' : 's'} (${run.from}–${run.to})` : 'none';
+
+    container.classList.remove('d-none');
+    document.getElementById('headToHeadTitle').textContent = `Head to head: ${first.runner.Name} vs ${second.runner.Name}`;
+
+    if (!headToHeadChart) {
+        headToHeadChart = new Chart(document.getElementById('headToHeadChart').getContext('2d'), {
+            type: 'bar',
+            data: { labels: [], datasets: [] },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    zoom: false,
+                    tooltip: {
+                        callbacks: {
+                            title: items => `Lap ${items[0].label}`,
+                            label: context => context.dataset.describe(context.raw)
+                        }
+                    }
+                },
+                scales: {
+                    x: { title: { display: true, text: 'Lap' } },
+                    y: {
+                        title: { display: true, text: 'Split gap' },
+                        ticks: { callback: value => formatMinutes(value) }
+                    },
+                    y1: {
+                        position: 'right',
+                        title: { display: true, text: 'Cumulative gap' },
+                        ticks: { callback: value => formatMinutes(value) },
+                        grid: { drawOnChartArea: false }
+                    }
+                }
+            }
+        });
+    }
+
+    // Bars point towards whoever was faster: up for the first runner, down for the second
+    const leader = value => value > 0 ? first.runner.Name : second.runner.Name;
+    headToHeadChart.data.labels = duel.laps.map(entry => entry.lap);
+    headToHeadChart.data.datasets = [
+        {
+            type: 'line',
+            label: 'Cumulative gap',
+            yAxisID: 'y1',
+            data: duel.laps.map(entry => entry.cumulative),
+            borderColor: 'rgba(73, 80, 87, 0.8)',
+            borderWidth: 2,
+            pointRadius: 0,
+            describe: value => value === 0 ? 'Level overall' : `${leader(value)} ahead by ${formatDuration(Math.abs(value))} overall`
+        },
+        {
+            label: 'Split gap',
+            yAxisID: 'y',
+            data: duel.laps.map(entry => entry.diff),
+            backgroundColor: duel.laps.map(entry => entry.diff >= 0 ? first.color : second.color),
+            describe: value => value === 0 ? 'Same split' : `${leader(value)} faster by ${formatMinutes(Math.abs(value))}`
+        }
+    ];
+    headToHeadChart.update();
+
+    const total = duel.total === 0
+        ? 'level'
+        : `${leader(duel.total)} ahead by ${formatDuration(Math.abs(duel.total))}`;
+    const extraLaps = [[first, duel.onlyA], [second, duel.onlyB]]
+        .filter(([, count]) => count > 0)
+        .map(([row, count]) => `${row.runner.Name} ran ${count} lap${count === 1 ? '' : 's'} the other did not.`)
+        .join(' ');
+
+    document.getElementById('headToHeadStats').innerHTML = `
+        <table class="table table-sm mb-1 mt-2">
+            <thead><tr><th></th><th>Faster laps</th><th>Longest run of faster laps</th></tr></thead>
+            <tbody>
+                <tr><th>${name(first)}</th><td>${duel.aFaster}</td><td>${streak(duel.aStreak)}</td></tr>
+                <tr><th>${name(second)}</th><td>${duel.bFaster}</td><td>${streak(duel.bStreak)}</td></tr>
+            </tbody>
+        </table>
+        <div class="text-muted">
+            ${duel.laps.length} shared laps${duel.ties > 0 ? `, ${duel.ties} with identical splits` : ''}; cumulative split time: ${escapeHtml(total)}. ${escapeHtml(extraLaps)}
+        </div>
+    `;
+}
+
+// Render cumulative rest per course section for the selected runners (rest view only)
+function renderRestSummary(restRows, maxLaps) {
+    const container = document.getElementById('restSummary');
+
+    if (restRows.length === 0) {
+        container.classList.add('d-none');
+        container.innerHTML = '';
+        return;
+    }
+
+    const sections = getSections(maxLaps);
+    const header = sections.map(section => `<th title="Laps ${section.startLap}-${section.endLap}">${section.number}. ${section.label}</th>`).join('');
+
+    const body = restRows.map(({ runner, color, laps }) => {
+        const cells = sections.map(section => {
+            const sectionLaps = laps.filter(lap => lap.Index >= section.startLap && lap.Index <= section.endLap);
+            if (sectionLaps.length === 0) return '<td></td>';
+
+            const rests = sectionLaps.map(lap => parseTimeToMinutes(lap['Rest Time'])).filter(rest => rest !== null);
+            const total = rests.reduce((sum, rest) => sum + rest, 0);
+            const dangerCount = rests.filter(rest => rest < restDangerThreshold).length;
+            const danger = dangerCount > 0 ? ` <span class="text-danger" title="Laps under ${formatMinutes(restDangerThreshold)} rest">(${dangerCount}⚠)</span>` : '';
+            return `<td>${formatDuration(total)}${danger}</td>`;
+        }).join('');
+
+        return `<tr><th><span class="color-swatch" style="background-color: ${color}"></span>${escapeHtml(runner.Name)}</th>${cells}</tr>`;
+    }).join('');
+
+    container.classList.remove('d-none');
+    container.innerHTML = `
+        <h6 class="mb-1">Cumulative rest per section</h6>
+        <div class="table-responsive">
+            <table class="table table-sm mb-0">
+                <thead><tr><th>Runner</th>${header}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Normalise a runner name for matching across editions (case and accents ignored)
+function normaliseRunnerName(name) {
+    return String(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Manual cross-edition links: { "edition:bib": { otherEdition: bib or null } }
+function getRunnerLinks() {
+    try {
+        return JSON.parse(localStorage.getItem(runnerLinksKey)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Link (or with null, unlink) a runner to an entry in another edition
+function setRunnerLink(origin, edition, bib) {
+    const links = getRunnerLinks();
+    const key = `${origin.edition}:${origin.bib}`;
+    links[key] = { ...links[key], [edition]: bib };
+    localStorage.setItem(runnerLinksKey, JSON.stringify(links));
+}
+
+// Find a runner's entry in another edition: manual link first, then by name
+function findLinkedRunner(origin, edition) {
+    const results = editionData[edition] ? editionData[edition].results : [];
+    if (edition === origin.edition) {
+        return results.find(r => r.Bib === origin.bib) || null;
+    }
 
-        // Add trendline for up to 3 runners
-        if (selectedRunners.size <= 3) {
-            const trendline = calculateTrendline(lapTimes);
-            if (trendline) {
-                const trendData = lapTimes.map((_, index) => {
-                    const lapNumber = index + 1;
-                    const trendValue = trendline.slope * lapNumber + trendline.intercept;
-                    return Math.max(30, Math.min(60, trendValue)); // Clamp to chart bounds
-                });
+    const links = getRunnerLinks();
+    const own = links[`${origin.edition}:${origin.bib}`];
+    if (own && edition in own) {
+        return own[edition] === null ? null : results.find(r => r.Bib === own[edition]) || null;
+    }
 
-                datasets.push({
-                    label: `${runner.Name} Trend`,
-                    data: trendData,
-                    borderColor: color + 'CC',
-                    backgroundColor: 'transparent',
-                    borderDash: [15, 5],
-                    borderWidth: 2,
-                    pointRadius: 0,
-                    fill: false
-                });
-            }
+    // Links made from the other edition's side count too
+    const reverse = Object.entries(links).find(([key, targets]) =>
+        key.startsWith(`${edition}:`) && targets[origin.edition] === origin.bib);
+    if (reverse) {
+        return results.find(r => r.Bib === Number(reverse[0].split(':')[1])) || null;
+    }
 
-            // Add EMA trend line (6-lap rolling weighted average)
-            const emaData = calculateEMA(lapTimes, 6);
-            if (emaData) {
-                datasets.push({
-                    label: `${runner.Name} EMA (6-lap)`,
-                    data: emaData.map(val => val !== null ? Math.max(30, Math.min(60, val)) : null),
-                    borderColor: color + 'AA',
-                    backgroundColor: 'transparent',
-                    borderDash: [5, 5],
-                    borderWidth: 3,
-                    pointRadius: 0,
-                    fill: false,
-                    hidden: true
-                });
-            }
-        }
+    const originRunner = findLinkedRunner(origin, origin.edition);
+    if (!originRunner) return null;
 
-        // Add standard deviation bands for up to two runners
-        if (selectedRunners.size <= 2) {
-            const stats = calculateStats(validTimes);
+    const name = normaliseRunnerName(originRunner.Name);
+    return results.find(r => normaliseRunnerName(r.Name) === name) || null;
+}
 
-            // Upper band (mean + std dev)
-            datasets.push({
-                label: `${runner.Name} Upper Std Dev`,
-                data: lapTimes.map(t => t !== null ? Math.min(stats.mean + stats.stdDev, 60) : null),
-                borderColor: color + '40',
-                backgroundColor: 'transparent',
-                borderDash: [5, 5],
-                pointRadius: 0,
-                fill: false,
-                hidden: true
-            });
+// Line colour of an edition in cross-edition views
+function getEditionColor(edition) {
+    const index = editions.findIndex(e => e.edition === edition);
+    const config = editions[index];
+    return config && config.color ? config.color : editionPalette[Math.max(index, 0) % editionPalette.length];
+}
+
+// Load every edition so runners can be compared across them
+async function loadAllEditions() {
+    await Promise.all(editions.map(config => loadEditionData(config.edition)));
+}
 
-            // Lower band (mean - std dev)
+// Overlay a runner's laps from every edition they raced
+async function startEditionComparison(bib) {
+    comparison = { edition: currentEdition, bib };
+    await loadAllEditions();
+    updateChart();
+    updatePermalink();
+}
+
+// Return to the per-edition selection view
+function stopEditionComparison() {
+    comparison = null;
+    updateChart();
+    updatePermalink();
+}
+
+// The compared runner's entry and laps in every edition
+function getComparisonEntries() {
+    return editions.map(config => {
+        const runner = findLinkedRunner(comparison, config.edition);
+        const laps = runner && editionData[config.edition]
+            ? editionData[config.edition].laps.filter(lap => lap.File === runner.Bib)
+            : [];
+        return { config, runner, laps, color: getEditionColor(config.edition) };
+    });
+}
+
+// Chart the compared runner with one line (and trend) per edition
+function updateComparisonChart() {
+    const metric = chartMetrics[chartMetric];
+    dropoutForecasts = [];
+    const clamp = value => Math.max(metric.min, Math.min(metric.max, value));
+    const entries = getComparisonEntries();
+    const datasets = [];
+    let maxLaps = 0;
+
+    entries.filter(entry => entry.runner).forEach(entry => {
+        const edition = entry.config.edition;
+        const lapTimes = entry.laps.map(lap => parseTimeToMinutes(lap[metric.field]));
+        maxLaps = Math.max(maxLaps, lapTimes.length);
+
+        datasets.push({
+            label: `${entry.runner.Name} ${entry.config.label || edition}`,
+            key: `compare:${edition}:line`,
+            hidden: isDatasetHidden(`compare:${edition}:line`, false),
+            data: lapTimes,
+            borderColor: entry.color,
+            backgroundColor: entry.color + '33',
+            tension: 0.1,
+            pointRadius: 2
+        });
+
+        const trendline = calculateTrendline(lapTimes);
+        if (trendline) {
             datasets.push({
-                label: `${runner.Name} Standard Deviation`,
-                data: lapTimes.map(t => t !== null ? Math.max(stats.mean - stats.stdDev, 30) : null),
-                borderColor: color + '40',
-                backgroundColor: color + '20',
-                borderDash: [5, 5],
+                label: `${entry.config.label || edition} Trend`,
+                key: `compare:${edition}:trend`,
+                hidden: isDatasetHidden(`compare:${edition}:trend`, false),
+                data: lapTimes.map((_, index) => clamp(trendline.slope * (index + 1) + trendline.intercept)),
+                borderColor: entry.color + 'CC',
+                backgroundColor: 'transparent',
+                borderDash: [15, 5],
+                borderWidth: 2,
                 pointRadius: 0,
-                fill: '-1',
-                hidden: true
+                fill: false
             });
-
         }
     });
 
-    // Update chart
     chart.data.labels = Array.from({length: maxLaps}, (_, i) => i + 1);
     chart.data.datasets = datasets;
+    chart.options.scales.x.title.text = getLapAxisTitle();
+    chart.options.scales.y.title.text = metric.title;
+    chart.options.scales.y.min = metric.min;
+    chart.options.scales.y.max = metric.max;
+    chart.options.scales.y1.display = false;
+    chart.options.scales.y2.display = false;
     chart.update();
+    renderChartAlternative([]);
+
+    renderHeadToHead([]);
+    renderRestSummary([], 0);
+    renderSplitBreakdown([], 0);
+    renderEditionComparison(entries);
+}
+
+// Render side-by-side summary stats of the compared runner, with link overrides per edition
+function renderEditionComparison(entries) {
+    const container = document.getElementById('editionComparison');
+
+    if (!comparison || entries.length === 0) {
+        container.classList.add('d-none');
+        container.innerHTML = '';
+        return;
+    }
+
+    const origin = entries.find(entry => entry.config.edition === comparison.edition);
+    const summaries = entries.map(entry => entry.runner ? summariseRunnerLaps(entry.laps) : null);
+    const time = value => value !== null ? formatMinutes(value) : '';
+    const rows = [
+        ['Place', (entry) => entry.runner.Place],
+        ['Age', (entry) => entry.runner.Age],
+        ['Laps', (entry, summary) => summary.laps],
+        ['Mean split', (entry, summary) => time(summary.mean)],
+        ['Std dev', (entry, summary) => time(summary.stdDev)],
+        ['Fastest', (entry, summary) => time(summary.fastest)],
+        ['Slowest', (entry, summary) => time(summary.slowest)],
+        ['Trend', (entry, summary) => summary.slope !== null ? `${summary.slope >= 0 ? '+' : ''}${(summary.slope * 60).toFixed(1)} s/lap` : ''],
+        ['Avg rest', (entry, summary) => time(summary.avgRest)],
+        ['Min rest', (entry, summary) => time(summary.minRest)]
+    ];
+
+    const header = entries.map(entry => {
+        const edition = entry.config.edition;
+        const title = `<span class="color-swatch" style="background-color: ${entry.color}"></span>${entry.config.label || edition}`;
+        if (edition === comparison.edition) return `<th>${title}</th>`;
+
+        const options = (editionData[edition] ? editionData[edition].results : [])
+            .slice()
+            .sort((a, b) => String(a.Name).localeCompare(String(b.Name)))
+            .map(r => `<option value="${r.Bib}"${entry.runner && entry.runner.Bib === r.Bib ? ' selected' : ''}>${escapeHtml(r.Name)} (#${r.Bib})</option>`)
+            .join('');
+        return `
+            <th>
+                ${title}
+                <select class="form-select form-select-sm mt-1" data-edition="${edition}" aria-label="Linked runner in ${entry.config.label || edition}">
+                    <option value="">Did not race</option>
+                    ${options}
+                </select>
+            </th>
+        `;
+    }).join('');
+
+    const body = rows.map(([label, value]) => {
+        const cells = entries.map((entry, i) => `<td>${entry.runner ? value(entry, summaries[i]) : '–'}</td>`).join('');
+        return `<tr><th>${label}</th>${cells}</tr>`;
+    }).join('');
+
+    container.classList.remove('d-none');
+    container.innerHTML = `
+        <div class="d-flex justify-content-between align-items-center mb-1">
+            <h6 class="mb-0">${origin && origin.runner ? escapeHtml(origin.runner.Name) : `#${comparison.bib}`} across editions</h6>
+            <button type="button" class="btn btn-sm btn-outline-secondary" id="closeComparison">Close</button>
+        </div>
+        <div class="table-responsive">
+            <table class="table table-sm mb-0">
+                <thead><tr><th></th>${header}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        </div>
+    `;
+
+    document.getElementById('closeComparison').addEventListener('click', stopEditionComparison);
+    container.querySelectorAll('select[data-edition]').forEach(select => {
+        select.addEventListener('change', () => {
+            setRunnerLink(comparison, select.dataset.edition, select.value ? Number(select.value) : null);
+            updateChart();
+        });
+    });
 }
 
 // Update selected runners badges
@@ -570,90 +3681,673 @@ function updateSelectedRunnersBadges() {
         const runner = resultsData.find(r => r.Bib === bib);
         if (!runner) return;
 
-        const color = colorPalette[index % colorPalette.length];
+        const color = getRunnerColor(index);
         const badge = document.createElement('span');
         badge.className = 'badge';
         badge.style.backgroundColor = color;
         badge.style.color = 'white';
         badge.style.padding = '5px 10px';
         badge.innerHTML = `
-            ${runner.Name} (#${runner.Bib})
+            ${escapeHtml(runner.Name)} (#${runner.Bib})
+            <span style="cursor: pointer; margin-left: 5px;" title="Compare across editions" onclick="startEditionComparison(${bib})">⇄</span>
             <span style="cursor: pointer; margin-left: 5px;" onclick="removeRunner(${bib})">×</span>
         `;
         container.appendChild(badge);
     });
+
+    document.getElementById('runnerPickerCount').textContent = selectedRunners.size;
 }
 
 // Remove runner from selection
 function removeRunner(bib) {
     selectedRunners.delete(bib);
-    document.querySelector(`tr[data-bib="${bib}"]`)?.classList.remove('table-active');
+    syncRunnerRow(bib);
     updateChart();
     updateSelectedRunnersBadges();
+    updatePermalink();
+}
+
+// Set the left panel width (percent) and resize the chart to match
+function applySplitWidth(percentWidth) {
+    splitWidth = percentWidth;
+    document.getElementById('leftPanel').style.width = percentWidth + '%';
+    updateDividerValue();
+
+    if (chart) {
+        setTimeout(() => chart.resize(), 0);
+    }
 }
 
 // Setup resizable divider
 function setupResizer() {
     const divider = document.getElementById('divider');
-    const leftPanel = document.getElementById('leftPanel');
     const container = document.querySelector('.split-container');
     let isResizing = false;
 
-    divider.addEventListener('mousedown', (e) => {
+    // Pointer events cover mouse, pen and touch; capture keeps the drag on the divider
+    divider.addEventListener('pointerdown', (e) => {
         isResizing = true;
-        document.body.style.cursor = 'col-resize';
+        if (divider.setPointerCapture) divider.setPointerCapture(e.pointerId);
+        document.body.style.cursor = compactLayout ? 'row-resize' : 'col-resize';
         document.body.style.userSelect = 'none';
         e.preventDefault();
     });
 
-    document.addEventListener('mousemove', (e) => {
+    divider.addEventListener('pointermove', (e) => {
         if (!isResizing) return;
 
+        // Stacked: the divider sets the table's height
+        if (compactLayout) {
+            const top = document.getElementById('leftPanel').getBoundingClientRect().top;
+            applyStackedTableHeight(((e.clientY - top) / window.innerHeight) * 100);
+            return;
+        }
+
         const containerRect = container.getBoundingClientRect();
         const newWidth = e.clientX - containerRect.left;
         const percentWidth = (newWidth / containerRect.width) * 100;
 
         // Limit the width between 10% and 50%
         if (percentWidth >= 10 && percentWidth <= 50) {
-            leftPanel.style.width = percentWidth + '%';
-
-            // Trigger chart resize
-            if (chart) {
-                setTimeout(() => chart.resize(), 0);
-            }
+            applySplitWidth(percentWidth);
         }
     });
 
-    document.addEventListener('mouseup', () => {
+    const stopResizing = () => {
         if (isResizing) {
             isResizing = false;
             document.body.style.cursor = '';
             document.body.style.userSelect = '';
+            if (!compactLayout) updatePermalink();
+        }
+    };
+    divider.addEventListener('pointerup', stopResizing);
+    divider.addEventListener('pointercancel', stopResizing);
+
+    // Arrow keys nudge the divider (Shift for bigger steps), Home/End jump to the limits
+    divider.addEventListener('keydown', (e) => {
+        const step = e.shiftKey ? 10 : 2;
+
+        if (compactLayout) {
+            const current = getStackedTableHeight();
+            const targets = { ArrowUp: current - step, ArrowDown: current + step, Home: 20, End: 80 };
+            if (!(e.key in targets)) return;
+            e.preventDefault();
+            applyStackedTableHeight(targets[e.key]);
+            return;
+        }
+
+        const current = getSplitWidth();
+        const targets = {
+            ArrowLeft: current - step,
+            ArrowRight: current + step,
+            Home: 10,
+            End: 50
+        };
+        if (!(e.key in targets)) return;
+
+        e.preventDefault();
+        applySplitWidth(Math.max(10, Math.min(50, targets[e.key])));
+        updatePermalink();
+    });
+
+    updateDividerValue();
+}
+
+// Current table height (vh) of the stacked layout
+function getStackedTableHeight() {
+    if (stackedTableHeight !== null) return stackedTableHeight;
+    const height = document.getElementById('leftPanel').getBoundingClientRect().height;
+    return window.innerHeight > 0 && height > 0 ? (height / window.innerHeight) * 100 : 45;
+}
+
+// Set the table height (vh, 20–80) of the stacked layout and resize the chart to match
+function applyStackedTableHeight(height) {
+    stackedTableHeight = Math.max(20, Math.min(80, height));
+    document.getElementById('leftPanel').style.height = stackedTableHeight + 'vh';
+    updateDividerValue();
+
+    if (chart) {
+        setTimeout(() => chart.resize(), 0);
+    }
+}
+
+// Current left panel width in percent, measured when the stylesheet default applies
+function getSplitWidth() {
+    if (splitWidth !== null) return splitWidth;
+    const container = document.querySelector('.split-container').getBoundingClientRect();
+    const panel = document.getElementById('leftPanel').getBoundingClientRect();
+    return container.width > 0 ? (panel.width / container.width) * 100 : 20;
+}
+
+// Announce the divider position to assistive technology
+function updateDividerValue() {
+    const divider = document.getElementById('divider');
+
+    if (compactLayout) {
+        const height = Math.round(getStackedTableHeight());
+        divider.setAttribute('aria-valuemin', 20);
+        divider.setAttribute('aria-valuemax', 80);
+        divider.setAttribute('aria-valuenow', height);
+        divider.setAttribute('aria-valuetext', `Runner table ${height}% of the screen tall`);
+        return;
+    }
+
+    const width = Math.round(getSplitWidth());
+    divider.setAttribute('aria-valuemin', 10);
+    divider.setAttribute('aria-valuemax', 50);
+    divider.setAttribute('aria-valuenow', width);
+    divider.setAttribute('aria-valuetext', `Runner table ${width}% wide`);
+}
+
+// Race notes saved per edition: { edition: [{ id, lap, bib, text }] }, bib null for the whole race
+function getAnnotations() {
+    try {
+        return JSON.parse(localStorage.getItem(annotationsKey)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Notes of an edition, by lap
+function getEditionAnnotations(edition = currentEdition) {
+    return (getAnnotations()[edition] || []).slice().sort((a, b) => a.lap - b.lap);
+}
+
+// Replace the notes of an edition, then redraw the current edition's
+function saveEditionAnnotations(notes, edition = currentEdition) {
+    localStorage.setItem(annotationsKey, JSON.stringify({ ...getAnnotations(), [edition]: notes }));
+    renderAnnotations();
+    if (chart) chart.update('none');
+}
+
+// Check an imported or entered note; null if it can't be used
+function normaliseAnnotation(note) {
+    if (!note || typeof note !== 'object') return null;
+    const lap = Number(note.lap);
+    const text = typeof note.text === 'string' ? note.text.trim().slice(0, 200) : '';
+    const bib = note.bib === null || note.bib === undefined || note.bib === '' ? null : Number(note.bib);
+    if (!Number.isInteger(lap) || lap < 1 || !text || (bib !== null && !Number.isInteger(bib))) return null;
+
+    return { id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`, lap, bib, text };
+}
+
+// Notes drawn on the chart: whole-race notes, plus those of selected runners in their colour
+function getVisibleAnnotations() {
+    return getEditionAnnotations()
+        .filter(note => note.bib === null || selectedRunners.has(note.bib))
+        .map(note => {
+            const dataset = note.bib === null ? null : chart.data.datasets.find(d => d.bib === note.bib);
+            return { ...note, color: dataset ? dataset.borderColor : '#495057' };
+        });
+}
+
+// Setup the race notes panel: adding, deleting, import and export
+function setupAnnotations() {
+    document.getElementById('annotationForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const note = normaliseAnnotation({
+            lap: document.getElementById('annotationLap').value,
+            bib: document.getElementById('annotationRunner').value,
+            text: document.getElementById('annotationText').value
+        });
+        if (!note) {
+            document.getElementById('annotationStatus').textContent = 'Enter a lap number and a note';
+            return;
+        }
+
+        saveEditionAnnotations([...getEditionAnnotations(), note]);
+        document.getElementById('annotationText').value = '';
+        document.getElementById('annotationStatus').textContent = '';
+    });
+
+    document.getElementById('annotationList').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-id]');
+        if (button) {
+            saveEditionAnnotations(getEditionAnnotations().filter(note => note.id !== button.dataset.id));
+        }
+    });
+
+    document.getElementById('exportAnnotations').addEventListener('click', () => {
+        const notes = getEditionAnnotations().map(({ lap, bib, text }) => ({ lap, bib, text }));
+        const content = JSON.stringify({ edition: currentEdition, annotations: notes }, null, 2);
+        downloadFile(`byu-${currentEdition}-notes.json`, content, 'application/json');
+    });
+
+    document.getElementById('importAnnotations').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) {
+            document.getElementById('annotationStatus').textContent = importAnnotations(await file.text());
+        }
+    });
+
+    renderAnnotations();
+}
+
+// Merge shared notes into the edition they were exported from ({ edition, annotations }),
+// or into the current edition for a bare list; returns a status line
+function importAnnotations(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return 'Not a JSON file';
+    }
+
+    const incoming = Array.isArray(data) ? data : (data && Array.isArray(data.annotations) ? data.annotations : null);
+    if (!incoming) return 'No notes found in the file';
+
+    const edition = Array.isArray(data) || !data.edition ? currentEdition : String(data.edition);
+    const config = editions.find(e => e.edition === edition);
+    if (!config) return `These notes are for edition ${edition}, which this page does not have`;
+
+    const notes = getEditionAnnotations(edition);
+    const keyOf = note => `${note.lap}|${note.bib}|${note.text}`;
+    const existing = new Set(notes.map(keyOf));
+    let added = 0;
+    let skipped = 0;
+
+    incoming.forEach(entry => {
+        const note = normaliseAnnotation(entry);
+        if (!note || existing.has(keyOf(note))) {
+            skipped++;
+            return;
         }
+        existing.add(keyOf(note));
+        notes.push(note);
+        added++;
+    });
+
+    saveEditionAnnotations(notes, edition);
+    const into = edition !== currentEdition ? ` into ${config.label || edition}` : '';
+    return `Imported ${added} note${added === 1 ? '' : 's'}${into}${skipped ? `, skipped ${skipped} duplicate or invalid` : ''}`;
+}
+
+// Render the notes list and the runner choices of the current edition
+function renderAnnotations() {
+    const notes = getEditionAnnotations();
+    const runnerName = bib => {
+        const runner = resultsData.find(r => r.Bib === bib);
+        return runner ? runner.Name : `#${bib}`;
+    };
+
+    const select = document.getElementById('annotationRunner');
+    const chosen = select.value;
+    select.innerHTML = '<option value="">Whole race</option>' + resultsData
+        .map(runner => `<option value="${runner.Bib}">${escapeHtml(runner.Name)} (#${runner.Bib})</option>`).join('');
+    select.value = resultsData.some(runner => String(runner.Bib) === chosen) ? chosen : '';
+
+    document.getElementById('annotationCount').textContent = notes.length;
+
+    // Note text comes from users and shared files, so it is only ever set as text
+    const list = document.getElementById('annotationList');
+    list.innerHTML = '';
+    notes.forEach(note => {
+        const item = document.createElement('li');
+        item.textContent = `Lap ${note.lap}${note.bib === null ? '' : ` · ${runnerName(note.bib)}`}: ${note.text} `;
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn btn-link btn-sm p-0 text-danger align-baseline';
+        remove.dataset.id = note.id;
+        remove.setAttribute('aria-label', `Delete note on lap ${note.lap}`);
+        remove.textContent = '×';
+        item.appendChild(remove);
+        list.appendChild(item);
+    });
+
+    if (notes.length === 0) {
+        list.innerHTML = '<li class="text-muted">No notes yet. Notes on a runner show while the runner is selected.</li>';
+    }
+}
+
+// Setup the chart, lap data and table export buttons
+function setupExports() {
+    const prefix = () => `byu-${currentEdition}`;
+
+    document.getElementById('exportPng').addEventListener('click', () => {
+        downloadFile(`${prefix()}-chart.png`, exportChartPng());
+    });
+    document.getElementById('exportSvg').addEventListener('click', () => {
+        downloadFile(`${prefix()}-chart.svg`, exportChartSvg(), 'image/svg+xml');
+    });
+    document.getElementById('exportLapsCsv').addEventListener('click', () => {
+        const rows = buildLapExportRows();
+        downloadFile(`${prefix()}-laps.csv`, toCsv(rows, lapExportColumns), 'text/csv');
+    });
+    document.getElementById('exportLapsJson').addEventListener('click', () => {
+        downloadFile(`${prefix()}-laps.json`, JSON.stringify(buildLapExportRows(), null, 2), 'application/json');
+    });
+    document.getElementById('exportTableCsv').addEventListener('click', () => {
+        downloadFile(`${prefix()}-results.csv`, exportTableCsv(), 'text/csv');
     });
 }
 
-// Check screen size and show overlay for small screens
-function checkScreenSize() {
-    const overlay = document.getElementById('smallScreenOverlay');
-    const dismissButton = document.getElementById('dismissOverlay');
+// Columns of the lap export, in order
+const lapExportColumns = [
+    'Bib', 'Name', 'Lap', 'Race Time', 'Lap Split', 'Rest Time',
+    'Split (min)', 'Trend (min)', 'EMA (min)', 'Mean (min)', 'Std Dev Lower (min)', 'Std Dev Upper (min)', 'Suspect'
+];
+
+// Save a string or data URL as a file
+function downloadFile(filename, content, mimeType) {
+    const isDataUrl = typeof content === 'string' && content.startsWith('data:');
+    const url = isDataUrl ? content : URL.createObjectURL(new Blob([content], { type: mimeType }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
 
-    // Check if screen width is less than 700px
-    if (window.innerWidth < 700) {
-        overlay.style.display = 'flex';
+    if (!isDataUrl) {
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
+}
+
+// Serialise rows of objects as CSV with the given column order
+function toCsv(rows, columns) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns.map(escape).join(',')]
+        .concat(rows.map(row => columns.map(column => escape(row[column])).join(',')))
+        .join('\n') + '\n';
+}
+
+// Selected runners' laps with the derived trend, EMA and standard deviation values
+function buildLapExportRows() {
+    const round = value => value === null || value === undefined ? null : Number(value.toFixed(3));
+    const rows = [];
+
+    Array.from(selectedRunners).forEach(bib => {
+        const runner = resultsData.find(r => r.Bib === bib);
+        if (!runner) return;
+
+        const runnerLaps = lapsData.filter(lap => lap.File === bib && (replayHour === null || lap.Index <= replayHour));
+        const suspects = lapAnomalies.get(bib) || new Map();
+        const lapTimes = runnerLaps.map(lap => parseTimeToMinutes(lap['Lap Split']));
+        const countedTimes = runnerLaps.map((lap, i) => excludeAnomalies && suspects.has(lap.Index) ? null : lapTimes[i]);
+        const trendline = calculateTrendline(countedTimes);
+        const emaData = calculateEMA(countedTimes, overlaySettings.emaWindow) || [];
+        const stats = calculateStats(countedTimes);
+
+        runnerLaps.forEach((lap, i) => {
+            rows.push({
+                'Bib': bib,
+                'Name': runner.Name,
+                'Lap': lap.Index,
+                'Race Time': lap['Race Time'],
+                'Lap Split': lap['Lap Split'],
+                'Rest Time': lap['Rest Time'],
+                'Split (min)': round(lapTimes[i]),
+                'Trend (min)': trendline ? round(trendline.slope * (i + 1) + trendline.intercept) : null,
+                'EMA (min)': round(emaData[i]),
+                'Mean (min)': round(stats.mean),
+                'Std Dev Lower (min)': round(stats.mean - stats.stdDev),
+                'Std Dev Upper (min)': round(stats.mean + stats.stdDev),
+                'Suspect': suspects.has(lap.Index) ? suspects.get(lap.Index).join('; ') : ''
+            });
+        });
+    });
+
+    return rows;
+}
+
+// The results table as shown (filters, sorting and visible columns) as CSV
+function exportTableCsv() {
+    const columns = getTableColumns();
+    const rows = getTableRows().rows.map(runner => {
+        const row = {};
+        columns.forEach(column => {
+            const value = runner[column.key];
+            row[column.label] = value === null || value === undefined ? '' : (column.format ? column.format(value) : value);
+        });
+        return row;
+    });
+
+    return toCsv(rows, columns.map(c => c.label));
+}
 
-    // Dismiss overlay when OK button is clicked
-    dismissButton.addEventListener('click', () => {
-        overlay.style.display = 'none';
+// PNG of the chart on a white background (the canvas itself is transparent)
+function exportChartPng() {
+    const canvas = chart.canvas;
+    const output = document.createElement('canvas');
+    output.width = canvas.width;
+    output.height = canvas.height;
+
+    const ctx = output.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, output.width, output.height);
+    ctx.drawImage(canvas, 0, 0);
+    return output.toDataURL('image/png');
+}
+
+// Vector SVG of the chart: section backgrounds, axes, visible datasets with their steps and filled bands, and legend
+function exportChartSvg() {
+    const { chartArea, scales } = chart;
+    const width = chart.width;
+    const height = chart.height;
+    const parts = [];
+
+    parts.push(`<rect x="0" y="0" width="${width}" height="${height}" fill="#FFFFFF"/>`);
+
+    // Trail/road sections as drawn by the background plugin
+    const maxLap = scales.x.max || 0;
+    getSections(maxLap).forEach(section => {
+        const start = scales.x.getPixelForValue(section.startLap - 1);
+        const end = scales.x.getPixelForValue(Math.min(section.endLap, maxLap));
+        parts.push(`<rect x="${start}" y="${chartArea.top}" width="${end - start}" height="${chartArea.bottom - chartArea.top}" fill="${surfaceColors[section.surface] || 'rgba(128, 128, 128, 0.08)'}"/>`);
+
+        const centerLap = section.startLap + (section.laps - 1) / 2;
+        if (centerLap <= maxLap) {
+            parts.push(`<text x="${scales.x.getPixelForValue(centerLap - 0.5)}" y="${chartArea.top + 15}" font-size="12" text-anchor="middle" fill="rgba(0, 0, 0, 0.3)">${escapeHtml(section.label)}</text>`);
+        }
+    });
+
+    // Axes with tick labels and titles
+    parts.push(`<rect x="${chartArea.left}" y="${chartArea.top}" width="${chartArea.right - chartArea.left}" height="${chartArea.bottom - chartArea.top}" fill="none" stroke="#CCCCCC"/>`);
+    scales.y.ticks.forEach((tick, i) => {
+        const y = scales.y.getPixelForTick(i);
+        const label = scales.y.options.ticks.callback(tick.value);
+        parts.push(`<line x1="${chartArea.left}" y1="${y}" x2="${chartArea.right}" y2="${y}" stroke="#EEEEEE"/>`);
+        parts.push(`<text x="${chartArea.left - 6}" y="${y + 4}" font-size="11" text-anchor="end" fill="#666666">${escapeHtml(label)}</text>`);
+    });
+    scales.x.ticks.forEach((tick, i) => {
+        const x = scales.x.getPixelForTick(i);
+        parts.push(`<text x="${x}" y="${chartArea.bottom + 14}" font-size="11" text-anchor="middle" fill="#666666">${escapeHtml(scales.x.getLabelForValue(tick.value))}</text>`);
+    });
+    parts.push(`<text x="${(chartArea.left + chartArea.right) / 2}" y="${height - 4}" font-size="12" text-anchor="middle" fill="#666666">${escapeHtml(scales.x.options.title.text)}</text>`);
+    parts.push(`<text transform="translate(12 ${(chartArea.top + chartArea.bottom) / 2}) rotate(-90)" font-size="12" text-anchor="middle" fill="#666666">${escapeHtml(scales.y.options.title.text)}</text>`);
+
+    // Secondary axes on the right: runners still in and the conditions
+    ['y1', 'y2'].forEach(id => {
+        const scale = scales[id];
+        if (!scale || !scale.options.display) return;
+
+        scale.ticks.forEach((tick, i) => {
+            parts.push(`<text x="${scale.left + 6}" y="${scale.getPixelForTick(i) + 4}" font-size="11" fill="#666666">${escapeHtml(tick.label)}</text>`);
+        });
+        parts.push(`<text transform="translate(${scale.right - 4} ${(chartArea.top + chartArea.bottom) / 2}) rotate(90)" font-size="12" text-anchor="middle" fill="#666666">${escapeHtml(scale.options.title.text)}</text>`);
+    });
+
+    // Pixel points of a dataset, null at missing laps
+    const pointsOf = index => chart.getDatasetMeta(index).data.map((point, j) => {
+        const value = chart.data.datasets[index].data[j];
+        return value === null || value === undefined || point.skip ? null : point;
+    });
+
+    // Runs of consecutive laps where every given dataset has a point
+    const runsOf = (...lists) => {
+        const runs = [[]];
+        lists[0].forEach((_, j) => {
+            if (lists.every(list => list[j])) {
+                runs[runs.length - 1].push(j);
+            } else if (runs[runs.length - 1].length > 0) {
+                runs.push([]);
+            }
+        });
+        return runs.filter(run => run.length > 1);
+    };
+
+    // Points of a run as the chart draws them, with the horizontal step first on stepped lines
+    const lineOf = (index, points, run) => {
+        const line = run.map(j => points[j]);
+        if (!chart.data.datasets[index].stepped) return line;
+        return line.flatMap((point, k) => k === 0 ? [point] : [{ x: point.x, y: line[k - 1].y }, point]);
+    };
+    const toPoints = line => line.map(point => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' ');
+
+    // Visible datasets: filled bands below the lines, both clipped to the chart area
+    const fills = [];
+    const lines = [];
+    const legend = [];
+    chart.data.datasets.forEach((dataset, i) => {
+        if (!chart.isDatasetVisible(i)) return;
+
+        const points = pointsOf(i);
+        const dash = dataset.borderDash && dataset.borderDash.length ? ` stroke-dasharray="${dataset.borderDash.join(' ')}"` : '';
+
+        // Bands filled down to the previous dataset (standard deviation, field percentiles) or to zero (precipitation)
+        if (dataset.fill === '-1' && i > 0 && chart.isDatasetVisible(i - 1)) {
+            const previous = pointsOf(i - 1);
+            runsOf(points, previous).forEach(run => {
+                const outline = lineOf(i, points, run).concat(lineOf(i - 1, previous, run).reverse());
+                fills.push(`<polygon points="${toPoints(outline)}" fill="${dataset.backgroundColor}"/>`);
+            });
+        } else if (dataset.fill === 'origin') {
+            const origin = Math.min(scales[dataset.yAxisID || 'y'].getPixelForValue(0), chartArea.bottom);
+            runsOf(points).forEach(run => {
+                const line = lineOf(i, points, run);
+                const outline = line.concat([{ x: line[line.length - 1].x, y: origin }, { x: line[0].x, y: origin }]);
+                fills.push(`<polygon points="${toPoints(outline)}" fill="${dataset.backgroundColor}"/>`);
+            });
+        }
+
+        runsOf(points).forEach(run => {
+            lines.push(`<polyline points="${toPoints(lineOf(i, points, run))}" fill="none" stroke="${dataset.borderColor}" stroke-width="${dataset.borderWidth || 3}"${dash}/>`);
+        });
+
+        // Points of runner lines, keeping the min/max and danger colours
+        if (dataset.bib !== undefined) {
+            points.forEach((point, j) => {
+                if (!point) return;
+                const radius = Array.isArray(dataset.pointRadius) ? dataset.pointRadius[j] : dataset.pointRadius;
+                const fill = Array.isArray(dataset.pointBackgroundColor) ? dataset.pointBackgroundColor[j] : dataset.borderColor;
+                lines.push(`<circle cx="${point.x.toFixed(1)}" cy="${point.y.toFixed(1)}" r="${radius}" fill="${fill}"/>`);
+            });
+        }
+
+        if (!dataset.hideInLegend) {
+            const filled = dataset.fill && dataset.backgroundColor !== 'transparent';
+            legend.push({ label: dataset.label, color: dataset.borderColor, fill: filled ? dataset.backgroundColor : dataset.borderColor });
+        }
     });
 
-    // Optional: Re-check on window resize
+    parts.push(`<clipPath id="chartArea"><rect x="${chartArea.left}" y="${chartArea.top}" width="${chartArea.right - chartArea.left}" height="${chartArea.bottom - chartArea.top}"/></clipPath>`);
+    parts.push(`<g clip-path="url(#chartArea)">`, ...fills, ...lines, '</g>');
+
+    // Legend along the top, each label as wide as the canvas measures it
+    const ctx = chart.ctx;
+    ctx.save();
+    ctx.font = '11px Arial';
+    let legendX = chartArea.left;
+    legend.forEach(item => {
+        parts.push(`<rect x="${legendX}" y="4" width="12" height="12" fill="${item.fill}" stroke="${item.color}"/>`);
+        parts.push(`<text x="${legendX + 16}" y="14" font-size="11" fill="#333333">${escapeHtml(item.label)}</text>`);
+        legendX += 24 + ctx.measureText(item.label).width;
+    });
+    ctx.restore();
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, sans-serif">\n${parts.join('\n')}\n</svg>\n`;
+}
+
+// Switch between the side-by-side and the stacked (compact) layout as the window resizes
+function setupResponsiveLayout() {
+    applyResponsiveLayout();
     window.addEventListener('resize', () => {
-        if (window.innerWidth < 700) {
-            overlay.style.display = 'flex';
-        } else {
-            overlay.style.display = 'none';
+        if ((window.innerWidth < compactLayoutWidth) !== compactLayout) {
+            applyResponsiveLayout();
+        }
+    });
+
+    setupRunnerPicker();
+}
+
+// Apply the layout matching the window width (the stacking itself is done by the stylesheet)
+function applyResponsiveLayout() {
+    compactLayout = window.innerWidth < compactLayoutWidth;
+
+    const divider = document.getElementById('divider');
+    divider.setAttribute('aria-orientation', compactLayout ? 'horizontal' : 'vertical');
+    document.getElementById('leftPanel').style.height = compactLayout && stackedTableHeight !== null ? stackedTableHeight + 'vh' : '';
+    updateDividerValue();
+
+    if (!chart) return;
+
+    // Legend below the chart with roomier items to tap, condensed axes, no axis titles
+    const { legend, subtitle, zoom } = chart.options.plugins;
+    legend.position = compactLayout ? 'bottom' : 'top';
+    legend.labels.boxWidth = compactLayout ? 16 : 40;
+    legend.labels.padding = compactLayout ? 14 : 10;
+    subtitle.text = compactLayout ? 'Tap legend items to (de)select data' : 'Click legend to (de)select data:';
+    subtitle.position = compactLayout ? 'bottom' : 'top';
+
+    const { x, y, y1, y2 } = chart.options.scales;
+    x.title.display = !compactLayout;
+    y.title.display = !compactLayout;
+    y1.title.display = !compactLayout;
+    y2.title.display = !compactLayout;
+    x.ticks.maxRotation = compactLayout ? 0 : 50;
+    x.ticks.autoSkipPadding = compactLayout ? 12 : 3;
+
+    // One-finger drags scroll the page on touch screens; pinch still zooms
+    zoom.pan.enabled = !compactLayout;
+
+    chart.update('none');
+}
+
+// Runner picker drawer: a touch-friendly list for choosing runners without the table
+function setupRunnerPicker() {
+    const picker = document.getElementById('runnerPicker');
+    const search = document.getElementById('runnerPickerSearch');
+
+    picker.addEventListener('show.bs.offcanvas', () => renderRunnerPicker());
+    search.addEventListener('input', () => renderRunnerPicker());
+
+    document.getElementById('runnerPickerList').addEventListener('change', (e) => {
+        if (e.target.matches('input[type="checkbox"]')) {
+            toggleRunner(parseInt(e.target.value));
         }
     });
+
+    document.getElementById('runnerPickerClear').addEventListener('click', () => {
+        const bibs = Array.from(selectedRunners);
+        selectedRunners.clear();
+        bibs.forEach(syncRunnerRow);
+        updateChart();
+        updateSelectedRunnersBadges();
+        updatePermalink();
+        renderRunnerPicker();
+    });
+}
+
+// Render the picker's runner list, in results order and narrowed by its search box
+function renderRunnerPicker() {
+    const query = document.getElementById('runnerPickerSearch').value.trim().toLowerCase();
+    const runners = resultsData.filter(runner => !query
+        || runner.Name.toLowerCase().includes(query)
+        || String(runner.Bib) === query);
+
+    document.getElementById('runnerPickerList').innerHTML = runners.map(runner => `
+        <label class="list-group-item d-flex align-items-center gap-2">
+            <input class="form-check-input m-0" type="checkbox" value="${runner.Bib}"${selectedRunners.has(runner.Bib) ? ' checked' : ''}>
+            <span class="flex-grow-1">${escapeHtml(runner.Name)}</span>
+            <small class="text-muted text-nowrap">#${runner.Bib} · ${escapeHtml(runner.Laps)} laps</small>
+        </label>
+    `).join('') || '<div class="list-group-item text-muted">No runners match</div>';
 }
\ No newline at end of file
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+// Per-runner report of an edition's data folder as Markdown or CSV.
+//
+// Usage: node cli/report.js <data folder> [--format markdown|csv] [--out file]
+//                           [--bib 4,20] [--rest-threshold 2]
+//
+// The folder needs results.json and laps.json; edition.json adds the lap sections
+// used for the trail/road split.
+
+const fs = require('fs');
+const path = require('path');
+const {
+    parseTimeToMinutes,
+    formatMinutes,
+    summariseRunnerLaps,
+    describeSplits,
+    buildSections,
+    getLapSurface
+} = require('../analytics');
+
+const usage = 'Usage: node cli/report.js <data folder> [--format markdown|csv] [--out file] [--bib 4,20] [--rest-threshold 2]';
+
+// Report columns: header and value of a runner row (null renders empty)
+const reportColumns = [
+    { label: 'Bib', value: row => row.runner.Bib },
+    { label: 'Name', value: row => row.runner.Name },
+    { label: 'Place', value: row => row.runner.Place },
+    { label: 'Laps', value: row => row.summary.laps },
+    { label: 'Mean', value: row => time(row.summary.mean) },
+    { label: 'Std dev', value: row => time(row.summary.stdDev) },
+    { label: 'Fastest', value: row => time(row.summary.fastest) },
+    { label: 'Slowest', value: row => time(row.summary.slowest) },
+    { label: 'Trend (s/lap)', value: row => row.summary.slope === null ? null : `${row.summary.slope >= 0 ? '+' : ''}${(row.summary.slope * 60).toFixed(1)}` },
+    { label: 'Trail mean', value: row => time(row.trail && row.trail.mean) },
+    { label: 'Road mean', value: row => time(row.road && row.road.mean) },
+    { label: 'Road − trail', value: row => row.trail && row.road ? signed(row.road.mean - row.trail.mean) : null },
+    { label: 'Avg rest', value: row => time(row.summary.avgRest) },
+    { label: 'Min rest', value: row => time(row.summary.minRest) },
+    { label: 'Short rests', value: row => row.shortRests }
+];
+
+function time(minutes) {
+    return minutes === null || minutes === undefined ? null : formatMinutes(minutes);
+}
+
+function signed(minutes) {
+    return `${minutes >= 0 ? '+' : ''}${formatMinutes(minutes)}`;
+}
+
+// Parse command line arguments into options
+function parseArgs(argv) {
+    const options = { folder: null, format: 'markdown', out: null, bibs: null, restThreshold: 2 };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        if (arg === '--format') {
+            options.format = next();
+        } else if (arg === '--out') {
+            options.out = next();
+        } else if (arg === '--bib') {
+            options.bibs = next().split(',').map(Number).filter(Number.isInteger);
+        } else if (arg === '--rest-threshold') {
+            options.restThreshold = parseFloat(next());
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (!options.folder) {
+            options.folder = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    if (!['markdown', 'md', 'csv'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+    if (!(options.restThreshold >= 0)) {
+        throw new Error('--rest-threshold must be a number of minutes');
+    }
+    return options;
+}
+
+function readJson(file, optional = false) {
+    if (optional && !fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// One report row per runner, in results order
+function buildReport(results, laps, edition, options) {
+    const maxLap = laps.reduce((max, lap) => Math.max(max, lap.Index), 0);
+    const sections = buildSections(edition ? edition.sections : null, maxLap);
+    const runners = options.bibs ? results.filter(r => options.bibs.includes(r.Bib)) : results;
+
+    return runners.map(runner => {
+        const runnerLaps = laps.filter(lap => lap.File === runner.Bib).sort((a, b) => a.Index - b.Index);
+        const split = lap => parseTimeToMinutes(lap['Lap Split']);
+        const rests = runnerLaps.map(lap => parseTimeToMinutes(lap['Rest Time'])).filter(rest => rest !== null);
+
+        return {
+            runner,
+            summary: summariseRunnerLaps(runnerLaps),
+            trail: describeSplits(runnerLaps.filter(lap => getLapSurface(sections, lap) === 'trail').map(split)),
+            road: describeSplits(runnerLaps.filter(lap => getLapSurface(sections, lap) === 'road').map(split)),
+            shortRests: rests.filter(rest => rest < options.restThreshold).length
+        };
+    });
+}
+
+function formatMarkdown(rows, title, options) {
+    const cell = value => value === null || value === undefined ? '' : String(value).replace(/\|/g, '\\|');
+    const lines = [
+        `# ${title}`,
+        '',
+        `${rows.length} runner${rows.length === 1 ? '' : 's'}. Times are M:SS; short rests are rests under ${options.restThreshold} minutes.`,
+        '',
+        `| ${reportColumns.map(c => c.label).join(' | ')} |`,
+        `| ${reportColumns.map(() => '---').join(' | ')} |`
+    ];
+    rows.forEach(row => {
+        lines.push(`| ${reportColumns.map(c => cell(c.value(row))).join(' | ')} |`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+function formatCsv(rows) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [reportColumns.map(c => escape(c.label)).join(',')]
+        .concat(rows.map(row => reportColumns.map(c => escape(c.value(row))).join(',')))
+        .join('\n') + '\n';
+}
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        console.error(usage);
+        return 2;
+    }
+
+    if (options.help || !options.folder) {
+        console.log(usage);
+        return options.help ? 0 : 2;
+    }
+
+    let results;
+    let laps;
+    let edition;
+    try {
+        results = readJson(path.join(options.folder, 'results.json'));
+        laps = readJson(path.join(options.folder, 'laps.json'));
+        edition = readJson(path.join(options.folder, 'edition.json'), true);
+    } catch (error) {
+        console.error(`Cannot read ${options.folder}: ${error.message}`);
+        return 1;
+    }
+
+    const rows = buildReport(results, laps, edition, options);
+    const title = `BYU ${edition ? edition.label : path.basename(path.resolve(options.folder))} runner report`;
+    const output = options.format === 'csv' ? formatCsv(rows) : formatMarkdown(rows, title, options);
+
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+        console.log(`Wrote ${rows.length} runners to ${options.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs, buildReport, formatMarkdown, formatCsv };
@@ -0,0 +1,168 @@
+// Service worker: keeps the app usable offline at crew spots with poor connectivity.
+//
+// - App shell and CDN libraries: served from cache, refreshed in the background.
+// - Race data: network first (with a timeout), falling back to the cache. The page
+//   posts every edition's data URLs and "dataVersion"; when a version changes, the
+//   data cache is rebuilt under a new name and the stale one deleted. A version only
+//   counts as cached once every one of its files arrived.
+
+// Bump when the list of shell files or libraries changes
+const shellCache = 'byu-shell-v1';
+const dataCachePrefix = 'byu-data-';
+
+// Holds the version of the complete data cache, so it survives worker restarts
+const metaCache = 'byu-meta';
+const dataVersionKey = 'data-version';
+let currentDataVersion = null;
+
+// Seconds to wait for the network before answering data requests from the cache
+const networkTimeoutSeconds = 4;
+
+const shellFiles = [
+    './',
+    './index.html',
+    './styles.css',
+    './analytics.js',
+    './app.js'
+];
+
+// Must match the script and stylesheet tags in index.html
+const libraryUrls = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/chart.js',
+    'https://cdn.jsdelivr.net/npm/hammerjs@2.0.8/hammer.min.js',
+    'https://cdn.jsdelivr.net/npm/chartjs-plugin-zoom@2.0.1/dist/chartjs-plugin-zoom.min.js',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(shellCache)
+            .then(cache => cache.addAll([...shellFiles, ...libraryUrls]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('byu-shell-') && key !== shellCache)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// { type: 'cacheData', version, urls } from the page after it loaded the edition manifests
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    if (message.type !== 'cacheData') return;
+
+    event.waitUntil(cacheData(message.version, message.urls).then(() => {
+        if (event.source) {
+            event.source.postMessage({ type: 'dataCached', version: message.version });
+        }
+    }).catch(error => {
+        console.error('Caching race data failed:', error);
+    }));
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+
+    // Live polling asks for fresh data and must never be answered from a cache
+    if (request.method !== 'GET' || request.cache === 'no-store') return;
+
+    const url = new URL(request.url);
+    const isShell = url.origin === self.location.origin && shellFiles.some(file => new URL(file, self.location).pathname === url.pathname);
+
+    if (isShell || libraryUrls.includes(request.url)) {
+        event.respondWith(staleWhileRevalidate(request));
+    } else if (/\.(json|tsv|csv)$/i.test(url.pathname)) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+// (Re)build the data cache for a dataset version, then drop caches of older versions.
+// Rejects, leaving the previous version in place, unless every file could be cached.
+async function cacheData(version, urls) {
+    const name = dataCachePrefix + version;
+    if (await getCurrentDataVersion() === version && await caches.has(name)) return;
+
+    // Download everything before caching anything, so a failure leaves no partial cache behind
+    const responses = await Promise.all(urls.map(async url => {
+        const response = await fetch(url, { cache: 'reload' });
+        if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+        return [url, response];
+    }));
+
+    await caches.delete(name);
+    const cache = await caches.open(name);
+    try {
+        await Promise.all(responses.map(([url, response]) => cache.put(url, response)));
+    } catch (error) {
+        await caches.delete(name);
+        throw error;
+    }
+
+    await setCurrentDataVersion(version);
+    const keys = await caches.keys();
+    await Promise.all(keys
+        .filter(key => key.startsWith(dataCachePrefix) && key !== name)
+        .map(key => caches.delete(key)));
+}
+
+async function getCurrentDataVersion() {
+    if (currentDataVersion === null) {
+        const response = await (await caches.open(metaCache)).match(dataVersionKey);
+        currentDataVersion = response ? await response.text() : null;
+    }
+    return currentDataVersion;
+}
+
+async function setCurrentDataVersion(version) {
+    await (await caches.open(metaCache)).put(dataVersionKey, new Response(version));
+    currentDataVersion = version;
+}
+
+// The data cache of the complete dataset version, if one has been cached yet
+async function openDataCache() {
+    const version = await getCurrentDataVersion();
+    const name = dataCachePrefix + version;
+    return version !== null && await caches.has(name) ? caches.open(name) : null;
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(shellCache);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const refresh = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        refresh.catch(() => {}); // Offline: the cached copy is all there is
+        return cached;
+    }
+    return refresh;
+}
+
+async function networkFirst(request) {
+    const cache = await openDataCache();
+    const cached = cache ? cache.match(request, { ignoreSearch: true }) : Promise.resolve(undefined);
+
+    const network = fetch(request).then(response => {
+        if (response.ok && cache) cache.put(request, response.clone());
+        return response;
+    });
+
+    // A slow connection falls back to the cache after the timeout, if there is a cached copy
+    const timeout = new Promise(resolve => setTimeout(resolve, networkTimeoutSeconds * 1000));
+    const first = await Promise.race([network.catch(() => null), timeout.then(() => 'timeout')]);
+
+    if (first && first !== 'timeout') return first;
+    const fallback = await cached;
+    if (fallback) return fallback;
+    return network;
+}
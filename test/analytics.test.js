@@ -0,0 +1,347 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseTimeToMinutes,
+    formatDuration,
+    formatMinutes,
+    calculateStats,
+    calculatePercentile,
+    calculatePercentileRank,
+    calculateFieldStats,
+    calculateTrendline,
+    calculateEMA,
+    calculateRollingMedian,
+    calculateLoess,
+    calculatePiecewiseTrend,
+    describeSplits,
+    summariseRunnerLaps,
+    compareHeadToHead,
+    calculateMedianAbsoluteDeviation,
+    detectLapAnomalies,
+    summariseTeams,
+    calculateCorrelation,
+    correlateConditions,
+    buildSections,
+    getLapSurface,
+    getLapStartHour,
+    lapStartsAtNight
+} = require('../analytics');
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message || `${actual} != ${expected}`);
+const lap = (index, raceTime, split, rest) => ({ File: 1, Index: index, 'Race Time': raceTime, 'Lap Split': split, 'Rest Time': rest });
+
+test('parseTimeToMinutes reads MM:SS and H:MM:SS', () => {
+    close(parseTimeToMinutes('50:39'), 50.65);
+    close(parseTimeToMinutes('09:20'), 9 + 20 / 60);
+    close(parseTimeToMinutes('1:02:03'), 62.05);
+    close(parseTimeToMinutes('30:50:40'), 30 * 60 + 50 + 40 / 60);
+    close(parseTimeToMinutes(' 0:30 '), 0.5);
+});
+
+test('parseTimeToMinutes keeps MM:SS and H:MM:SS apart', () => {
+    // "1:00" is a minute, "1:00:00" an hour
+    close(parseTimeToMinutes('1:00'), 1);
+    close(parseTimeToMinutes('1:00:00'), 60);
+});
+
+test('parseTimeToMinutes returns null for missing or malformed values', () => {
+    assert.equal(parseTimeToMinutes(null), null);
+    assert.equal(parseTimeToMinutes(undefined), null);
+    assert.equal(parseTimeToMinutes(''), null);
+    assert.equal(parseTimeToMinutes('50'), null);
+    assert.equal(parseTimeToMinutes('12:'), null);
+    assert.equal(parseTimeToMinutes('ab:cd'), null);
+    assert.equal(parseTimeToMinutes('1:2:3:4'), null);
+});
+
+test('formatDuration and formatMinutes round to whole seconds', () => {
+    assert.equal(formatDuration(62.05), '1:02:03');
+    assert.equal(formatDuration(0), '0:00:00');
+    assert.equal(formatMinutes(50.65), '50:39');
+    assert.equal(formatMinutes(-2.5), '-2:30');
+    assert.equal(formatMinutes(59.9999), '60:00');
+});
+
+test('calculateStats skips null laps', () => {
+    const stats = calculateStats([50, null, 52, null, 54]);
+    close(stats.mean, 52);
+    close(stats.stdDev, Math.sqrt(8 / 3));
+});
+
+test('calculateStats of no laps is zero', () => {
+    assert.deepEqual(calculateStats([]), { mean: 0, stdDev: 0 });
+    assert.deepEqual(calculateStats([null, null]), { mean: 0, stdDev: 0 });
+});
+
+test('calculateStats of a single lap has no spread', () => {
+    assert.deepEqual(calculateStats([48]), { mean: 48, stdDev: 0 });
+});
+
+test('calculatePercentile interpolates between ranks', () => {
+    assert.equal(calculatePercentile([], 50), null);
+    assert.equal(calculatePercentile([40], 90), 40);
+    assert.equal(calculatePercentile([40, 50], 50), 45);
+    assert.equal(calculatePercentile([40, 50, 60], 100), 60);
+});
+
+test('calculatePercentileRank counts ties as half', () => {
+    assert.equal(calculatePercentileRank([], 50), null);
+    assert.equal(calculatePercentileRank([40, 50, 60, 70], 50), 37.5);
+    assert.equal(calculatePercentileRank([40, 50, 60, 70], 80), 100);
+});
+
+test('calculateTrendline fits lap numbers with nulls kept in place', () => {
+    const trend = calculateTrendline([50, null, 52]);
+    close(trend.slope, 1);
+    close(trend.intercept, 49);
+});
+
+test('calculateTrendline needs two laps', () => {
+    assert.equal(calculateTrendline([]), null);
+    assert.equal(calculateTrendline([50]), null);
+    assert.equal(calculateTrendline([50, null]), null);
+});
+
+test('calculateEMA smooths towards new laps and keeps null gaps', () => {
+    const ema = calculateEMA([50, 57, null, 50], 6);
+    const alpha = 2 / 7;
+    assert.equal(ema[0], 50);
+    close(ema[1], alpha * 57 + (1 - alpha) * 50);
+    assert.equal(ema[2], null);
+    // After a null lap the previous EMA is unknown, so the lap restarts it
+    assert.equal(ema[3], 50);
+});
+
+test('calculateEMA needs two laps', () => {
+    assert.equal(calculateEMA([]), null);
+    assert.equal(calculateEMA([50]), null);
+});
+
+test('calculateRollingMedian uses the trailing window and skips nulls', () => {
+    assert.deepEqual(calculateRollingMedian([50, 60, null, 40, 55], 3), [50, 55, null, 50, 47.5]);
+    assert.deepEqual(calculateRollingMedian([], 3), []);
+});
+
+test('calculateLoess reproduces a straight line and keeps null gaps', () => {
+    const values = [50, 51, null, 53, 54, 55, 56, 57];
+    const loess = calculateLoess(values, 0.5);
+    assert.equal(loess[2], null);
+    values.forEach((value, i) => {
+        if (value !== null) close(loess[i], value);
+    });
+});
+
+test('calculateLoess damps a single outlier', () => {
+    const values = [50, 50, 50, 50, 60, 50, 50, 50, 50, 50];
+    const loess = calculateLoess(values, 0.5);
+    assert.ok(loess[4] < 60 && loess[4] > 50);
+});
+
+test('calculateLoess needs three laps', () => {
+    assert.equal(calculateLoess([50, 51]), null);
+    assert.equal(calculateLoess([50, null, 51]), null);
+});
+
+test('calculatePiecewiseTrend fits each section separately', () => {
+    const values = [50, 51, 52, 40, 40, 40, 55];
+    const fitted = calculatePiecewiseTrend(values, [{ startLap: 1, endLap: 3 }, { startLap: 4, endLap: 6 }, { startLap: 7, endLap: 9 }]);
+    [50, 51, 52, 40, 40, 40].forEach((value, i) => close(fitted[i], value));
+    // A section with a single lap has no trend
+    assert.equal(fitted[6], null);
+    assert.equal(fitted.length, values.length);
+});
+
+test('calculateFieldStats counts every lap but only valid values', () => {
+    const laps = [lap(1, '7:50:00', '50:00', '10:00'), lap(1, '7:54:00', '54:00', '6:00'), lap(1, '7:55:00', null, null), lap(3, '9:52:00', '52:00', '8:00')];
+    const stats = calculateFieldStats(laps, 'Lap Split');
+    assert.equal(stats.length, 3);
+    assert.equal(stats[0].count, 3);
+    assert.deepEqual(stats[0].values, [50, 54]);
+    assert.equal(stats[0].median, 52);
+    assert.equal(stats[1].count, 0);
+    assert.equal(stats[1].median, null);
+});
+
+test('describeSplits returns null without valid splits', () => {
+    assert.equal(describeSplits([]), null);
+    assert.equal(describeSplits([null]), null);
+    assert.deepEqual(describeSplits([52, null, 50]), { count: 2, mean: 51, median: 51, fastest: 50, stdDev: 1 });
+});
+
+test('summariseRunnerLaps handles a single-lap runner', () => {
+    const summary = summariseRunnerLaps([lap(1, '7:50:40', '50:40', '9:20')]);
+    assert.equal(summary.laps, 1);
+    close(summary.mean, 50 + 40 / 60);
+    assert.equal(summary.stdDev, 0);
+    assert.equal(summary.slope, null);
+    close(summary.minRest, 9 + 20 / 60);
+});
+
+test('summariseRunnerLaps handles null laps and runners without laps', () => {
+    const summary = summariseRunnerLaps([lap(1, '7:50:00', '50:00', '10:00'), lap(2, null, null, null), lap(3, '9:52:00', '52:00', '8:00')]);
+    assert.equal(summary.laps, 3);
+    assert.equal(summary.mean, 51);
+    assert.equal(summary.fastest, 50);
+    assert.equal(summary.slowest, 52);
+    close(summary.slope, 1);
+    assert.equal(summary.avgRest, 9);
+
+    const empty = summariseRunnerLaps([]);
+    assert.equal(empty.laps, 0);
+    assert.equal(empty.mean, null);
+    assert.equal(empty.avgRest, null);
+});
+
+test('compareHeadToHead pairs laps by number and skips null splits', () => {
+    const a = [lap(1, null, '50:00'), lap(2, null, '50:00'), lap(3, null, '50:00'), lap(4, null, null), lap(5, null, '50:00'), lap(6, null, '50:00'), lap(7, null, '45:00')];
+    const b = [lap(1, null, '51:00'), lap(2, null, '52:00'), lap(3, null, '49:00'), lap(4, null, '50:00'), lap(5, null, '51:00'), lap(6, null, '50:00')];
+    const result = compareHeadToHead(a, b);
+
+    assert.deepEqual(result.laps.map(entry => entry.lap), [1, 2, 3, 5, 6]);
+    assert.deepEqual(result.laps.map(entry => entry.cumulative), [1, 3, 2, 3, 3]);
+    assert.equal(result.aFaster, 3);
+    assert.equal(result.bFaster, 1);
+    assert.equal(result.ties, 1);
+    assert.equal(result.total, 3);
+    assert.equal(result.onlyA, 1);
+    assert.equal(result.onlyB, 0);
+});
+
+test('compareHeadToHead streaks break at gaps and ties', () => {
+    const a = [1, 2, 3, 5, 6, 7, 8].map(i => lap(i, null, '50:00'));
+    const b = [1, 2, 3, 5, 6, 7, 8].map(i => lap(i, null, i === 7 ? '50:00' : '51:00'));
+    const result = compareHeadToHead(a, b);
+
+    assert.deepEqual(result.aStreak, { length: 3, from: 1, to: 3 });
+    assert.equal(result.bStreak, null);
+});
+
+test('compareHeadToHead of runners without shared laps is empty', () => {
+    const result = compareHeadToHead([lap(1, null, '50:00')], []);
+    assert.deepEqual(result.laps, []);
+    assert.equal(result.total, 0);
+    assert.equal(result.aStreak, null);
+    assert.equal(result.onlyA, 1);
+});
+
+test('calculateMedianAbsoluteDeviation ignores outliers', () => {
+    assert.deepEqual(calculateMedianAbsoluteDeviation([48, 50, 51, 52, 90]), { median: 51, mad: 1 });
+});
+
+test('detectLapAnomalies flags a split far below the runner and the field', () => {
+    const splits = { 1: [50, 51, 52, 50, 20, 51], 2: [49, 52, 50, 51, 50, 52], 3: [53, 50, 51, 53, 52, 50], 4: [51, 49, 52, 50, 51, 51], 5: [50, 50, 53, 52, 49, 50] };
+    const laps = [];
+    Object.entries(splits).forEach(([file, list]) => list.forEach((split, i) => {
+        laps.push({ File: Number(file), Index: i + 1, 'Race Time': `${7 + i}:${split}:00`, 'Lap Split': `${split}:00`, 'Rest Time': `${60 - split}:00` });
+    }));
+
+    const anomalies = detectLapAnomalies(laps);
+    assert.equal(anomalies.length, 1);
+    assert.equal(anomalies[0].File, 1);
+    assert.equal(anomalies[0].Index, 5);
+    assert.match(anomalies[0].reasons[0], /^split 20:00 is implausibly fast/);
+});
+
+test('detectLapAnomalies flags a broken hour and repeated race times', () => {
+    const anomalies = detectLapAnomalies([
+        lap(1, '7:50:00', '50:00', '10:00'),
+        lap(2, '8:50:00', '50:00', '12:00'),
+        lap(3, '8:50:00', '50:00', '10:00')
+    ]);
+    assert.deepEqual(anomalies.map(a => a.Index), [2, 3]);
+    assert.deepEqual(anomalies[0].reasons, ['split + rest is 62:00, not 60:00']);
+    assert.deepEqual(anomalies[1].reasons, ['Race Time 8:50:00 repeats lap 2']);
+});
+
+test('detectLapAnomalies needs enough laps to judge speed', () => {
+    // Too few splits for the runner and for the field: no speed verdict
+    assert.deepEqual(detectLapAnomalies([lap(1, '7:50:00', '50:00', '10:00'), lap(2, '8:20:00', '20:00', '40:00')]), []);
+});
+
+test('summariseTeams ranks countries by total laps and counts runners still in', () => {
+    const runners = [
+        { Bib: 1, State: 'AUS', Laps: 5 },
+        { Bib: 2, State: 'BEL', Laps: 4 },
+        { Bib: 3, State: 'AUS', Laps: 2 },
+        { Bib: 4, State: 'BEL', Laps: 3 },
+        { Bib: 5, State: 'JPN', Laps: 7 },
+        { Bib: 6, State: '', Laps: 1 }
+    ];
+    const teams = summariseTeams(runners);
+
+    // Tied totals are ordered by best runner and share the rank
+    assert.deepEqual(teams.map(team => [team.country, team.totalLaps, team.rank]), [['JPN', 7, 1], ['AUS', 7, 1], ['BEL', 7, 1], ['', 1, 4]]);
+    assert.deepEqual(teams[1].bibs, [1, 3]);
+    assert.equal(teams[1].avgLaps, 3.5);
+    assert.equal(teams[0].stillIn, 1);
+    assert.equal(teams[1].stillIn, 0);
+    assert.deepEqual(teams[1].stillInByLap, [2, 2, 2, 1, 1, 1, 0, 0]);
+});
+
+test('summariseTeams of no runners is empty', () => {
+    assert.deepEqual(summariseTeams([]), []);
+});
+
+test('calculateCorrelation skips missing pairs and needs variation', () => {
+    assert.equal(calculateCorrelation([1, 2, 3, 4], [2, 4, 6, 8]).r, 1);
+    assert.ok(Math.abs(calculateCorrelation([1, 2, 3, null], [9, 6, 3, 100]).r + 1) < 1e-12);
+    assert.equal(calculateCorrelation([1, 2, 3, null], [9, 6, 3, 100]).n, 3);
+    assert.equal(calculateCorrelation([1, 2, 3], [5, 5, 5]), null);
+    assert.equal(calculateCorrelation([1, 2], [1, 2]), null);
+});
+
+test('correlateConditions pairs hours with the median split and drop-outs of each lap', () => {
+    const laps = [
+        lap(1, '0:50:00', '50:00', '10:00'), lap(1, '0:50:00', '50:00', '10:00'), lap(1, '0:52:00', '52:00', '08:00'), lap(1, '0:55:00', '55:00', '05:00'),
+        lap(2, '1:51:00', '51:00', '09:00'), lap(2, '1:52:00', '52:00', '08:00'), lap(2, '1:55:00', '55:00', '05:00'),
+        lap(3, '2:54:00', '54:00', '06:00'),
+        lap(4, '3:56:00', '56:00', '04:00')
+    ];
+    const hours = [
+        { hour: 1, temperature: 10, precipitation: 0 },
+        { hour: 2, temperature: 12, precipitation: 1 },
+        { hour: 3, temperature: 14, precipitation: 5 },
+        { hour: 4, temperature: 16, precipitation: 0 },
+        { hour: 9, temperature: 30 }
+    ];
+    const [temperature, precipitation] = correlateConditions(calculateFieldStats(laps, 'Lap Split'), hours, ['temperature', 'precipitation']);
+
+    // Median splits 51, 52, 54 and 56 minutes rise with the temperature; hour 9 has no lap
+    assert.equal(temperature.hours, 4);
+    assert.deepEqual([temperature.min, temperature.max], [10, 16]);
+    assert.ok(temperature.median.r > 0.95);
+    assert.equal(temperature.median.n, 4);
+    // Drop-outs 1, 2 and 0 from lap 2 on follow the rain
+    assert.equal(precipitation.dropouts.n, 3);
+    assert.ok(precipitation.dropouts.r > 0.9);
+});
+
+test('buildSections repeats the schedule and applies overrides', () => {
+    const config = {
+        first: [{ laps: 10, surface: 'trail' }],
+        repeat: [{ laps: 13, surface: 'road' }, { laps: 11, surface: 'trail' }],
+        overrides: [{ section: 3, surface: 'road', label: 'Road (rain)' }]
+    };
+    const sections = buildSections(config, 40);
+    assert.deepEqual(sections.map(s => [s.startLap, s.endLap, s.surface]), [[1, 10, 'trail'], [11, 23, 'road'], [24, 34, 'road'], [35, 47, 'road']]);
+    assert.equal(sections[2].label, 'Road (rain)');
+    assert.equal(getLapSurface(sections, { Index: 24 }), 'road');
+    assert.equal(getLapSurface(sections, { Index: 48 }), null);
+});
+
+test('buildSections without a schedule has no sections', () => {
+    assert.deepEqual(buildSections(null, 10), []);
+    assert.deepEqual(buildSections({}, 10), []);
+    assert.deepEqual(buildSections({ first: [{ laps: 10, surface: 'trail' }] }, 0), []);
+});
+
+test('lap start hour wraps past midnight for night detection', () => {
+    const daylight = { from: 7, to: 19 };
+    close(getLapStartHour(lap(1, '7:50:40', '50:40', '9:20')), 7);
+    close(getLapStartHour(lap(18, '24:55:00', '55:00', '5:00')), 0);
+    assert.equal(getLapStartHour(lap(2, null, '50:00', '10:00')), null);
+    assert.equal(lapStartsAtNight(lap(1, '7:50:40', '50:40', '9:20'), daylight), false);
+    assert.equal(lapStartsAtNight(lap(13, '19:52:00', '52:00', '8:00'), daylight), true);
+    assert.equal(lapStartsAtNight(lap(18, '24:55:00', '55:00', '5:00'), daylight), true);
+});
@@ -0,0 +1,50 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs, buildReport, formatMarkdown, formatCsv } = require('../cli/report');
+
+const edition = { label: 'Test', sections: { first: [{ laps: 1, surface: 'trail' }], repeat: [{ laps: 1, surface: 'road' }] } };
+const results = [
+    { Bib: 1, Name: 'Two Laps', Place: 1 },
+    { Bib: 2, Name: 'One, Lap', Place: 'OVER' },
+    { Bib: 3, Name: 'No Laps', Place: 'DNS' }
+];
+const laps = [
+    { File: 1, Index: 1, 'Race Time': '7:50:00', 'Lap Split': '50:00', 'Rest Time': '10:00' },
+    { File: 1, Index: 2, 'Race Time': '8:59:00', 'Lap Split': '59:00', 'Rest Time': '01:00' },
+    { File: 2, Index: 1, 'Race Time': '7:55:00', 'Lap Split': '55:00', 'Rest Time': '05:00' }
+];
+
+test('parseArgs reads the folder and options', () => {
+    const options = parseArgs(['data_2025', '--format', 'csv', '--bib', '4,20', '--rest-threshold', '3']);
+    assert.equal(options.folder, 'data_2025');
+    assert.equal(options.format, 'csv');
+    assert.deepEqual(options.bibs, [4, 20]);
+    assert.equal(options.restThreshold, 3);
+});
+
+test('parseArgs rejects unknown formats and missing values', () => {
+    assert.throws(() => parseArgs(['data_2025', '--format', 'xml']), /Unknown format/);
+    assert.throws(() => parseArgs(['data_2025', '--out']), /Missing value/);
+});
+
+test('buildReport splits trail and road and counts short rests', () => {
+    const rows = buildReport(results, laps, edition, parseArgs(['x']));
+    assert.equal(rows.length, 3);
+    assert.equal(rows[0].trail.mean, 50);
+    assert.equal(rows[0].road.mean, 59);
+    assert.equal(rows[0].shortRests, 1);
+    assert.equal(rows[1].road, null);
+    assert.equal(rows[2].summary.laps, 0);
+});
+
+test('reports render runners without laps as empty cells', () => {
+    const rows = buildReport(results, laps, edition, parseArgs(['x', '--bib', '2,3']));
+    const markdown = formatMarkdown(rows, 'Test report', parseArgs(['x']));
+    assert.match(markdown, /^# Test report/);
+    assert.match(markdown, /\| 3 \| No Laps \| DNS \| 0 \|  \|/);
+
+    const csv = formatCsv(rows).trim().split('\n');
+    assert.equal(csv.length, 3);
+    assert.match(csv[1], /^2,"One, Lap",OVER,1,55:00,/);
+});